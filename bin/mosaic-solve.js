@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * mosaic-solve - 命令行马赛克拼图求解器
+ *
+ * 使用与扩展相同的求解核心（solver-core.js），不需要打开Chrome：
+ *   mosaic-solve puzzle.txt
+ *   mosaic-solve --format json --stats puzzles/*.txt
+ *   cat puzzle.txt | mosaic-solve --unique
+ *
+ * 输入（文件或标准输入）可以是：
+ * - 拼图文本格式（见puzzle-text.js）：最简单的形式就是每行一行单元格，数字0-9为提示，'.'为没有数字；
+ *   带有[state]节时，已知的单元格状态作为已知条件参与求解（--unique时也一样），与所有解矛盾时报告出错的单元格
+ * - 没有任何[节]标题的文本网格还可以用 '-' '_' 表示没有数字，以'#'开头的行会被忽略
+ * - JSON：二维数组，null表示没有数字
+ * - 网站的任务字符串（见site-task.js），例如 --format site 输出的 task 一行；按正方形拼图解码
+ *
+ * 退出码：0 求解成功（--unique时还要求解唯一），1 无解或未能在限制内求解，
+ *         2 参数或输入错误，3 --unique时发现多个解；有多个文件时返回其中最大的退出码
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SOLVER_OPTIONS, solveMosaic, solveMosaicCSP, isValidSolution } = require('../solver-core.js');
+const { parsePuzzleText, serializePuzzleText } = require('../puzzle-text.js');
+const { SiteTaskError, decodeSiteTask, encodeSiteTask } = require('../site-task.js');
+
+const USAGE = `用法: mosaic-solve [选项] [文件...]
+
+不指定文件或文件为 - 时从标准输入读取。
+
+选项:
+  -f, --format <格式>      输出格式: ascii（默认）| json | site | text（拼图文本格式）
+  -e, --engine <引擎>      求解引擎: csp（默认）| propagation
+  -t, --time <秒>          时间预算，默认 ${DEFAULT_SOLVER_OPTIONS.maxTimeMs / 1000} 秒
+      --nodes <数量>       节点预算，默认 ${DEFAULT_SOLVER_OPTIONS.maxNodes}
+      --value-order <顺序> 值的尝试顺序: blank-first（默认）| fill-first | smart
+  -u, --unique             检查解是否唯一（最多枚举2个解）
+  -s, --stats              输出求解统计（非JSON格式输出到标准错误）
+  -h, --help               显示帮助`;
+
+const EXIT_SOLVED = 0;
+const EXIT_UNSOLVED = 1;
+const EXIT_USAGE = 2;
+const EXIT_MULTIPLE = 3;
+
+// 命令行参数错误，显示用法并以EXIT_USAGE退出
+class UsageError extends Error {}
+
+// 解析命令行参数
+function parseArgs(argv) {
+    const args = {
+        format: 'ascii',
+        solverOptions: {},
+        unique: false,
+        stats: false,
+        help: false,
+        files: []
+    };
+
+    const takeValue = (index, name) => {
+        if (index >= argv.length) {
+            throw new UsageError(`${name} 需要一个参数`);
+        }
+        return argv[index];
+    };
+
+    const takeNumber = (index, name) => {
+        const value = Number(takeValue(index, name));
+        if (!(value > 0)) {
+            throw new UsageError(`${name} 需要一个大于0的数字`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-f':
+            case '--format':
+                args.format = takeValue(++i, arg);
+                if (!['ascii', 'json', 'site', 'text'].includes(args.format)) {
+                    throw new UsageError(`未知的输出格式: ${args.format}`);
+                }
+                break;
+            case '-e':
+            case '--engine':
+                args.solverOptions.engine = takeValue(++i, arg);
+                if (!['csp', 'propagation'].includes(args.solverOptions.engine)) {
+                    throw new UsageError(`未知的求解引擎: ${args.solverOptions.engine}`);
+                }
+                break;
+            case '-t':
+            case '--time':
+                args.solverOptions.maxTimeMs = takeNumber(++i, arg) * 1000;
+                break;
+            case '--nodes':
+                args.solverOptions.maxNodes = takeNumber(++i, arg);
+                break;
+            case '--value-order':
+                args.solverOptions.valueOrder = takeValue(++i, arg);
+                if (!['blank-first', 'fill-first', 'smart'].includes(args.solverOptions.valueOrder)) {
+                    throw new UsageError(`未知的值顺序: ${args.solverOptions.valueOrder}`);
+                }
+                break;
+            case '-u':
+            case '--unique':
+                args.unique = true;
+                break;
+            case '-s':
+            case '--stats':
+                args.stats = true;
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`未知的选项: ${arg}`);
+                }
+                args.files.push(arg);
+        }
+    }
+
+    if (args.files.length === 0) {
+        args.files.push('-');
+    }
+    return args;
+}
+
+// 工具函数：把没有节标题的文本网格转换为拼图文本格式：去掉以'#'开头的注释行，'-' '_' 换成 '.'
+// （带有节标题时'#'是[state]节中的填充单元格，不做转换）
+function normalizePlainGrid(text) {
+    if (/^\s*\[\w+\]\s*$/m.test(text)) {
+        return text;
+    }
+    return text.split(/\r?\n/)
+        .filter(line => !line.trim().startsWith('#'))
+        .map(line => line.replace(/[-_]/g, '.'))
+        .join('\n');
+}
+
+// 解析拼图输入（拼图文本格式、JSON或网站任务字符串），返回 { clues, state }；格式错误时抛出Error
+function parsePuzzleInput(text) {
+    // 看起来像任务字符串并且能按正方形拼图解码时才按任务字符串处理，否则按文本解析（并报告文本中的错误）
+    const trimmed = text.trim().replace(/^task:\s*/, '');
+    if (/^[0-9a-z_]+$/.test(trimmed) && /[a-z]/.test(trimmed)) {
+        try {
+            return { clues: decodeSiteTask(trimmed).clues, state: null };
+        } catch (error) {
+            if (!(error instanceof SiteTaskError)) throw error;
+        }
+    }
+    if (!trimmed.startsWith('[') || /^\[\w+\]/.test(trimmed)) {
+        const { clues, state } = parsePuzzleText(normalizePlainGrid(text));
+        return { clues: clues, state: state };
+    }
+
+    const grid = JSON.parse(trimmed);
+    if (!Array.isArray(grid) || !grid.every(Array.isArray)) {
+        throw new Error("JSON输入必须是二维数组");
+    }
+
+    const cols = grid.length > 0 ? grid[0].length : 0;
+    if (cols === 0 || grid.some(row => row.length !== cols)) {
+        throw new Error("每行的单元格数量必须相同且不能为0");
+    }
+    grid.forEach(row => row.forEach(cell => {
+        if (cell !== null && !(Number.isInteger(cell) && cell >= 0 && cell <= 9)) {
+            throw new Error(`提示数字必须是0-9: ${cell}`);
+        }
+    }));
+
+    return { clues: grid, state: null };
+}
+
+// 输出格式：ascii - '#'为填充，'.'为空白
+function formatAscii(result) {
+    return result.solution.map(row => row.map(cell => cell === 1 ? '#' : '.').join('')).join('\n');
+}
+
+// 输出格式：site - 网站的任务字符串和逐格的答案（1填充/0空白，逐行连接）
+function formatSite(result) {
+    return [
+        `size: ${result.cols}x${result.rows}`,
+        `task: ${encodeSiteTask(result.constraintGrid)}`,
+        `solution: ${result.solution.flat().join('')}`
+    ].join('\n');
+}
+
+// 输出格式：text - 拼图文本格式，包含提示、已知状态和解
+function formatText(result) {
+    return serializePuzzleText({
+        clues: result.constraintGrid,
+        state: result.givens,
+        solution: result.solution
+    }).trimEnd();
+}
+
+// 工具函数：把统计整理成一行摘要
+function formatStats(stats) {
+    return `节点 ${stats.nodes}，回溯 ${stats.backtracks}，最大深度 ${stats.maxDepth}，` +
+        `约束检查 ${stats.revisions}次，传播 ${stats.propagationRounds}轮，` +
+        `传播确定 ${stats.cellsByPropagation}格，分支确定 ${stats.cellsByBranching}格，` +
+        `用时 ${stats.wallTimeMs}ms` + (stats.stopReason ? `，停止原因 ${stats.stopReason}` : '');
+}
+
+// 求解一个拼图，返回结果对象（不负责输出）；givens为已知的单元格状态（可选）
+// 已知条件与所有解矛盾时，givenConflicts为互相矛盾的单元格 [{ row, col, given, expected }]（见findGivenConflicts）
+function solvePuzzle(constraintGrid, givens, args) {
+    let givenConflicts = null;
+    const { solution, stats } = solveMosaic(constraintGrid, null, {
+        ...args.solverOptions,
+        givens: givens,
+        givenConflictCallback: (conflicts) => {
+            givenConflicts = conflicts;
+        }
+    });
+    const result = {
+        rows: constraintGrid.length,
+        cols: constraintGrid[0].length,
+        constraintGrid: constraintGrid,
+        givens: givens,
+        solved: isValidSolution(solution, constraintGrid),
+        solution: solution,
+        stats: stats,
+        givenConflicts: givenConflicts,
+        uniqueness: null
+    };
+
+    if (args.unique) {
+        const report = solveMosaicCSP(constraintGrid, null, {
+            ...args.solverOptions,
+            givens: givens,
+            enumerate: true,
+            maxSolutions: 2
+        });
+        result.uniqueness = { status: report.status, message: report.message };
+    }
+
+    return result;
+}
+
+// 工具函数：列出与所有解矛盾的已知单元格
+function formatGivenConflicts(conflicts) {
+    const cellText = ({ row, col, given, expected }) =>
+        `(${row},${col}) 为${given === 1 ? '填充' : '空白'}，应为${expected === 1 ? '填充' : '空白'}`;
+    const title = conflicts.length === 1 ? '已知的单元格与所有解矛盾，出错的单元格:' :
+        '已知的单元格与所有解矛盾，以下单元格不能同时成立（其中至少一个有错）:';
+    return `${title}\n${conflicts.map(cellText).join('\n')}`;
+}
+
+// 工具函数：根据结果决定退出码
+function exitCodeFor(result) {
+    if (!result.solved) return EXIT_UNSOLVED;
+    if (result.uniqueness && result.uniqueness.status === 'multiple') return EXIT_MULTIPLE;
+    if (result.uniqueness && result.uniqueness.status !== 'unique') return EXIT_UNSOLVED;
+    return EXIT_SOLVED;
+}
+
+// 处理一个输入（文件名或'-'），输出结果并返回退出码
+function processInput(file, text, args, showName) {
+    let puzzle;
+    try {
+        puzzle = parsePuzzleInput(text);
+    } catch (error) {
+        process.stderr.write(`${file}: 输入格式错误: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    const result = solvePuzzle(puzzle.clues, puzzle.state, args);
+
+    if (args.format === 'json') {
+        const output = {
+            file: file,
+            rows: result.rows,
+            cols: result.cols,
+            solved: result.solved,
+            solution: result.solution
+        };
+        if (result.givenConflicts) output.givenConflicts = result.givenConflicts;
+        if (result.uniqueness) output.uniqueness = result.uniqueness;
+        if (args.stats) output.stats = result.stats;
+        process.stdout.write(JSON.stringify(output) + '\n');
+    } else {
+        if (showName) {
+            process.stdout.write(`== ${file} ==\n`);
+        }
+        if (result.givenConflicts) {
+            // 部分解建立在错误的已知条件上，没有参考价值，只列出出错的单元格
+            process.stdout.write(`${formatGivenConflicts(result.givenConflicts)}\n`);
+        } else {
+            if (!result.solved) {
+                process.stdout.write(result.stats.stopReason ? "未能在限制内求解，部分解:\n" : "无解，部分解:\n");
+            }
+            const formatters = { ascii: formatAscii, site: formatSite, text: formatText };
+            process.stdout.write(formatters[args.format](result) + '\n');
+        }
+        if (result.uniqueness) {
+            process.stdout.write(`唯一性: ${result.uniqueness.message}\n`);
+        }
+        if (args.stats) {
+            process.stderr.write(`${showName ? file + ': ' : ''}${formatStats(result.stats)}\n`);
+        }
+    }
+
+    return exitCodeFor(result);
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_SOLVED;
+    }
+
+    let exitCode = EXIT_SOLVED;
+    const showName = args.files.length > 1;
+    for (const file of args.files) {
+        let text;
+        try {
+            text = fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8');
+        } catch (error) {
+            process.stderr.write(`${file}: 无法读取: ${error.message}\n`);
+            exitCode = Math.max(exitCode, EXIT_USAGE);
+            continue;
+        }
+        exitCode = Math.max(exitCode, processInput(file, text, args, showName));
+    }
+    return exitCode;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parsePuzzleInput, encodeSiteTask, main };
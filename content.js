@@ -30,6 +30,23 @@ debugLog("🎯 马赛克拼图扩展已加载！");
 // 全局变量：保存步骤演示的状态
 let stepSolverState = null;
 
+// 全局变量：当前被高亮的页面元素（提示等功能使用）
+let highlightedElements = [];
+
+// 全局变量：后台求解Worker，以及等待结果的求解任务（jobId -> 回调）
+let solverWorker = null;
+const pendingSolverJobs = new Map();
+let nextSolverJobId = 1;
+
+// 全局变量：最近一次分析拼图时坐标的来源（'site-task' 网站任务数据，'geometry' 网格几何），
+// 以及按网格几何确定坐标时发现的问题
+let puzzleSource = null;
+let puzzleIssues = [];
+
+// 全局变量：当前正在进行的求解任务（popup通过任务id停止它）
+let activeSolveJob = null;
+let nextSolveJobId = 1;
+
 // 设置机器人标识 - 让网站知道我们是自动求解器
 function setRobotFlag() {
     debugLog("🤖 设置机器人标识...");
@@ -69,102 +86,251 @@ function analyzeCellState(cell) {
     const numberElement = cell.querySelector('.number');
     const number = numberElement ? numberElement.textContent.trim() : '';
 
-    // 获取位置信息
-    const style = cell.getAttribute('style');
-    const topMatch = style.match(/top:\s*(\d+)px/);
-    const leftMatch = style.match(/left:\s*(\d+)px/);
-
-    const position = {
-        top: topMatch ? parseInt(topMatch[1]) : 0,
-        left: leftMatch ? parseInt(leftMatch[1]) : 0
-    };
-
-    // 计算网格坐标 (基于像素位置)
-    const row = Math.floor((position.top - 3) / 31);  // 31px间距
-    const col = Math.floor((position.left - 3) / 31);
-
     return {
         state: state,
         number: number || null,
-        position: position,
-        row: row,
-        col: col,
+        position: readCellPosition(cell),
+        row: null,  // 行列坐标由analyzePuzzle根据整个网格确定
+        col: null,
         element: cell
     };
 }
 
+// 工具函数：读取单元格在页面上的位置
+// 优先使用内联样式的top/left（与缩放无关），没有时使用getBoundingClientRect
+function readCellPosition(cell, useRect = false) {
+    const style = cell.getAttribute('style') || '';
+    const topMatch = style.match(/top:\s*(-?[\d.]+)px/);
+    const leftMatch = style.match(/left:\s*(-?[\d.]+)px/);
 
+    if (!useRect && topMatch && leftMatch) {
+        return { top: parseFloat(topMatch[1]), left: parseFloat(leftMatch[1]), source: 'style' };
+    }
 
-// 工具函数：点击单元格 (增强版) - 保持兼容性
-function clickCell(cell) {
-    debugLog(`🖱️ 点击单元格 (${cell.row}, ${cell.col}), 当前状态: ${cell.state}`);
+    const rect = cell.getBoundingClientRect();
+    return { top: rect.top, left: rect.left, source: 'rect' };
+}
 
-    const element = cell.element;
+// 工具函数：按单元格的位置推断网格，给每个单元格分配行列坐标
+// 返回对不上网格的单元格，以及网格不完整时的问题说明
+function applyGridGeometry(puzzleData) {
+    // 同一次分析中所有单元格必须使用同一种坐标
+    if (puzzleData.some(cell => cell.position.source === 'rect')) {
+        puzzleData.forEach(cell => {
+            cell.position = readCellPosition(cell.element, true);
+        });
+    }
 
-    // 尝试多种点击方式，因为网站可能有特殊的事件处理
+    const geometry = MosaicGridGeometry.detectGridGeometry(
+        puzzleData.map(cell => ({ x: cell.position.left, y: cell.position.top })));
 
-    // 方式1: 直接click()
-    debugLog("   尝试方式1: element.click()");
-    element.click();
+    puzzleData.forEach((cell, index) => {
+        const coordinates = geometry.cells[index];
+        cell.row = coordinates ? coordinates.row : null;
+        cell.col = coordinates ? coordinates.col : null;
+    });
 
-    // 方式2: 模拟鼠标事件
-    setTimeout(() => {
-        debugLog("   尝试方式2: 鼠标事件");
-
-        const rect = element.getBoundingClientRect();
-        const x = rect.left + rect.width / 2;
-        const y = rect.top + rect.height / 2;
-
-        // 创建鼠标事件
-        const mouseEvents = ['mousedown', 'mouseup', 'click'];
-
-        mouseEvents.forEach(eventType => {
-            const event = new MouseEvent(eventType, {
-                view: window,
-                bubbles: true,
-                cancelable: true,
-                clientX: x,
-                clientY: y,
-                button: 0  // 左键
-            });
-            element.dispatchEvent(event);
-        });
-    }, 200);
+    const issues = [];
+    if (geometry.misfits.length > 0) {
+        issues.push(`${geometry.misfits.length} 个单元格对不上网格`);
+    }
+    if (geometry.missing.length > 0) {
+        issues.push(`网格缺少 ${geometry.missing.length} 个单元格`);
+    }
+    if (geometry.duplicates.length > 0) {
+        issues.push(`${geometry.duplicates.length} 个位置有重叠的单元格`);
+    }
 
-    // 方式3: 尝试触发焦点和键盘事件
-    setTimeout(() => {
-        debugLog("   尝试方式3: 焦点事件");
-        element.focus();
-
-        // 模拟空格键或回车键
-        const keyEvent = new KeyboardEvent('keydown', {
-            key: ' ',
-            code: 'Space',
-            bubbles: true
+    debugLog(`📐 网格几何: ${geometry.cols}x${geometry.rows}，间距 ${geometry.colPitch}x${geometry.rowPitch}px` +
+        (geometry.complete ? '' : `，问题: ${issues.join('，')}`));
+    geometry.misfits.forEach(index => {
+        const { top, left } = puzzleData[index].position;
+        debugLog(`⚠️ 单元格对不上网格: 位置 (${top}, ${left})`);
+    });
+    geometry.missing.forEach(({ row, col }) => {
+        debugLog(`⚠️ 网格缺少单元格: (${row}, ${col})`);
+    });
+
+    return { geometry: geometry, issues: issues };
+}
+
+// 单元格状态的点击循环：每次点击切换到下一个状态
+const CELL_STATE_CYCLE = ['empty', 'filled', 'marked'];
+
+// 设置单元格状态时每个单元格最多尝试的轮数，以及每次点击后等待网页更新的时间
+const CELL_STATE_MAX_ATTEMPTS = 3;
+const CELL_UPDATE_TIMEOUT_MS = 300;
+
+// 工具函数：在单元格中心模拟一次鼠标点击
+// 只使用这一种输入方式，事件顺序与真实点击相同（mousedown → mouseup → click），
+// 网站无论监听其中哪个事件，单元格都只切换一次
+function dispatchCellClick(element) {
+    const rect = element.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+
+    ['mousedown', 'mouseup', 'click'].forEach(eventType => {
+        element.dispatchEvent(new MouseEvent(eventType, {
+            view: window,
+            bubbles: true,
+            cancelable: true,
+            clientX: x,
+            clientY: y,
+            button: 0  // 左键
+        }));
+    });
+}
+
+// 工具函数：等待单元格状态离开fromState，超时后返回当时的状态
+function waitForCellStateChange(element, fromState, timeoutMs) {
+    return new Promise(resolve => {
+        const currentState = () => analyzeCellState(element).state;
+        if (currentState() !== fromState) {
+            resolve(currentState());
+            return;
+        }
+
+        let timer = null;
+        const observer = new MutationObserver(() => {
+            if (currentState() !== fromState) {
+                observer.disconnect();
+                clearTimeout(timer);
+                resolve(currentState());
+            }
         });
-        element.dispatchEvent(keyEvent);
-    }, 400);
+        observer.observe(element, { attributes: true, attributeFilter: ['class'] });
 
-    // 等待状态更新并检查结果
-    setTimeout(() => {
-        const newState = analyzeCellState(element);
-        debugLog(`   最终状态: ${newState.state}`);
+        timer = setTimeout(() => {
+            observer.disconnect();
+            resolve(currentState());
+        }, timeoutMs);
+    });
+}
+
+// 把单元格设置为目标状态（'empty' | 'filled' | 'marked'）
+// 按网站的状态循环逐次点击，每次点击后重新读取单元格确认状态；
+// 点击后状态没有变化或不是循环中的下一个状态时，从当前状态重新开始，最多尝试CELL_STATE_MAX_ATTEMPTS轮。
+// 返回是否成功，cell.state会更新为单元格的实际状态
+async function setCellState(cell, targetState) {
+    const element = cell.element;
+    let current = analyzeCellState(element).state;
+
+    for (let attempt = 1; attempt <= CELL_STATE_MAX_ATTEMPTS && current !== targetState; attempt++) {
+        while (current !== targetState) {
+            const expected = CELL_STATE_CYCLE[(CELL_STATE_CYCLE.indexOf(current) + 1) % CELL_STATE_CYCLE.length];
+            dispatchCellClick(element);
+            const next = await waitForCellStateChange(element, current, CELL_UPDATE_TIMEOUT_MS);
+
+            if (next !== expected) {
+                debugLog(`⚠️ 单元格 (${cell.row}, ${cell.col}) 点击后为 ${next}，预期 ${expected}（第${attempt}轮）`);
+                current = next;
+                break;
+            }
+            current = next;
+        }
+    }
 
-        if (newState.state !== cell.state) {
-            debugLog("   ✅ 单元格状态已改变！");
+    cell.state = current;
+    if (current !== targetState) {
+        console.error(`无法把单元格 (${cell.row}, ${cell.col}) 设置为 ${targetState}，当前状态: ${current}`);
+        return false;
+    }
+    return true;
+}
+
+// 依次设置多个单元格的状态，changes为 [{ cell, state }]
+// delayMs大于0时每个单元格之间暂停（用于演示）；signal（AbortSignal）被触发后不再点击剩下的单元格
+// 返回 { changed, failed, aborted }，failed为未能设置的单元格
+async function setCellStates(changes, { delayMs = 0, signal = null } = {}) {
+    debugLog(`🖱️ 设置 ${changes.length} 个单元格的状态...`);
+
+    let changed = 0;
+    const failed = [];
+    for (const { cell, state } of changes) {
+        if (signal && signal.aborted) {
+            debugLog(`⏹ 已停止设置单元格，已设置 ${changed} 个`);
+            return { changed: changed, failed: failed, aborted: true };
+        }
+        if (cell.state === state && analyzeCellState(cell.element).state === state) {
+            continue;
+        }
+        if (await setCellState(cell, state)) {
+            changed++;
         } else {
-            debugLog("   ❌ 单元格状态未改变");
-            debugLog("   💡 可能需要检查网站的事件处理机制");
+            failed.push(cell);
+        }
+        if (delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
         }
-    }, 600);
+    }
+
+    debugLog(failed.length === 0 ?
+        `✅ 已设置 ${changed} 个单元格` :
+        `⚠️ 已设置 ${changed} 个单元格，${failed.length} 个单元格设置失败`);
+    return { changed: changed, failed: failed, aborted: false };
+}
+
+// 工具函数：收集网页中可能带有任务数据的来源（内联脚本和隐藏表单字段）
+function collectSiteTaskSources() {
+    const sources = [];
+
+    document.querySelectorAll('script:not([src])').forEach(script => {
+        sources.push({ kind: 'script', name: script.id || '', text: script.textContent });
+    });
+    document.querySelectorAll('input[type="hidden"]').forEach(input => {
+        sources.push({ kind: 'field', name: input.name || input.id || '', text: input.value });
+    });
+
+    return sources;
+}
+
+// 工具函数：从网站的任务数据读取拼图定义，找不到时返回null
+function readSiteTaskDefinition(cellCount) {
+    try {
+        return MosaicSiteTask.findSiteTask(collectSiteTaskSources(), cellCount);
+    } catch (error) {
+        console.error("读取网站任务数据时出错:", error);
+        return null;
+    }
+}
+
+// 工具函数：按网站的任务数据给单元格分配行列坐标
+// 单元格按页面位置从上到下、从左到右排序后逐行对应；每个单元格显示的数字都必须与任务数据一致，
+// 网格几何完整时尺寸也必须一致，否则保留原坐标并返回false
+function applySiteTaskDefinition(puzzleData, definition, geometry) {
+    if (geometry.complete && (geometry.rows !== definition.rows || geometry.cols !== definition.cols)) {
+        debugLog(`⚠️ 任务数据的尺寸 ${definition.cols}x${definition.rows} 与页面网格 ${geometry.cols}x${geometry.rows} 不一致`);
+        return false;
+    }
+
+    const ordered = [...puzzleData].sort((a, b) =>
+        a.position.top - b.position.top || a.position.left - b.position.left);
+
+    const mismatch = ordered.find((cell, index) => {
+        const clue = definition.clues[Math.floor(index / definition.cols)][index % definition.cols];
+        const number = cell.number === null ? null : parseInt(cell.number, 10);
+        return number !== clue;
+    });
+    if (mismatch) {
+        debugLog(`⚠️ 任务数据与页面不一致（位置 ${mismatch.position.top},${mismatch.position.left} 的数字为 ${mismatch.number}）`);
+        return false;
+    }
+
+    ordered.forEach((cell, index) => {
+        cell.row = Math.floor(index / definition.cols);
+        cell.col = index % definition.cols;
+    });
+    return true;
 }
 
 // 主要功能：分析整个拼图
+// 优先使用网站嵌入的任务数据确定尺寸和坐标，与页面核对不一致时按单元格位置推断的网格确定坐标；
+// 对不上网格的单元格不会出现在结果中，问题记录在puzzleIssues里
 function analyzePuzzle() {
     debugLog("🔍 开始分析拼图...");
 
     const cells = findPuzzleCells();
-    const puzzleData = [];
+    let puzzleData = [];
 
     // 分析每个单元格
     cells.forEach(cell => {
@@ -172,6 +338,24 @@ function analyzePuzzle() {
         puzzleData.push(cellData);
     });
 
+    puzzleIssues = [];
+    if (puzzleData.length > 0) {
+        const { geometry, issues } = applyGridGeometry(puzzleData);
+        const definition = readSiteTaskDefinition(puzzleData.length);
+
+        if (definition && applySiteTaskDefinition(puzzleData, definition, geometry)) {
+            puzzleSource = 'site-task';
+            debugLog(`🧩 使用网站任务数据（${definition.source}）: ${definition.cols}x${definition.rows}`);
+        } else {
+            puzzleSource = 'geometry';
+            puzzleIssues = issues;
+            puzzleData = puzzleData.filter(cell => cell.row !== null);
+            debugLog(definition ?
+                "📐 任务数据未通过核对，按网格几何确定坐标" :
+                "📐 未找到网站任务数据，按网格几何确定坐标");
+        }
+    }
+
     // 统计信息
     const stats = {
         total: puzzleData.length,
@@ -193,18 +377,265 @@ function analyzePuzzle() {
 }
 
 
-// 新增：批量点击函数 - 用于求解算法
-function clickMultipleCells(cells) {
-    debugLog(`🔥 批量点击 ${cells.length} 个单元格...`);
+// 实时盘面模型的消息/重新分析的合并间隔（毫秒）
+const LIVE_BOARD_DEBOUNCE_MS = 100;
+
+// 实时盘面模型：用MutationObserver监听网页上的拼图，玩家点击时即时更新每个单元格的状态。
+// 求解、提示、检查盘面等功能直接读取这里的数据，不必每次重新扫描DOM；
+// 单元格被增删或数字变化时重新分析，提示数字不同说明网页换上了新拼图
+class LiveBoard {
+    constructor() {
+        this.puzzleData = [];
+        this.cellsByElement = new Map();
+        this.constraintGrid = null;
+        this.signature = null;  // 提示数字的JSON，用来判断是否换了新拼图
+        this.version = 0;       // 盘面每次变化加1
+        this.observer = null;
+        this.rescanTimer = null;
+        this.notifyTimer = null;
+        this.listeners = [];    // 盘面变化时调用的函数（参数为LiveBoard）
+    }
+
+    // 添加盘面变化的监听函数：单元格状态变化或重新分析后都会调用
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    // 开始监听（重复调用无效）
+    start() {
+        if (this.observer) return;
+
+        this.refresh();
+        this.observer = new MutationObserver(records => this.handleMutations(records));
+        this.observer.observe(document.body, {
+            subtree: true,
+            childList: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['class']
+        });
+        debugLog("👀 开始监听盘面变化");
+    }
+
+    // 重新分析整个拼图，返回是否换了新拼图
+    refresh() {
+        const puzzleData = analyzePuzzle();
+        const constraintGrid = convertToConstraintGrid(puzzleData);
+        const signature = constraintGrid ? JSON.stringify(constraintGrid) : null;
+        const isNewPuzzle = this.signature !== null && signature !== null && signature !== this.signature;
+
+        this.puzzleData = puzzleData;
+        this.cellsByElement = new Map(puzzleData.map(cell => [cell.element, cell]));
+        this.constraintGrid = constraintGrid;
+        if (signature !== null) {
+            this.signature = signature;
+        }
+        this.version++;
+
+        if (isNewPuzzle) {
+            handlePuzzleChanged();
+        } else {
+            solutionOverlay.render();  // 单元格可能被替换或移动了位置
+        }
+        this.listeners.forEach(listener => listener(this));
+        this.scheduleNotify();
+        return isNewPuzzle;
+    }
+
+    // 处理DOM变化：单元格的类名变化直接更新状态，结构变化时重新分析
+    handleMutations(records) {
+        let changed = false;
+        let needsRescan = false;
+
+        for (const record of records) {
+            if (record.type === 'attributes') {
+                const cell = this.cellsByElement.get(record.target);
+                if (cell) {
+                    const state = analyzeCellState(record.target).state;
+                    if (state !== cell.state) {
+                        cell.state = state;
+                        changed = true;
+                    }
+                } else if (record.target.matches('.cell.selectable')) {
+                    needsRescan = true;
+                }
+            } else if (this.affectsGrid(record)) {
+                needsRescan = true;
+            }
+        }
+
+        if (needsRescan) {
+            this.scheduleRescan();
+        } else if (changed) {
+            this.version++;
+            this.listeners.forEach(listener => listener(this));
+            this.scheduleNotify();
+        }
+    }
+
+    // 工具函数：结构变化是否涉及拼图（单元格被增删，或单元格里的数字变化）
+    affectsGrid(record) {
+        const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+        if (target && target.closest('.cell')) {
+            return true;
+        }
+
+        return [...record.addedNodes, ...record.removedNodes].some(node =>
+            node.nodeType === Node.ELEMENT_NODE && (node.matches('.cell') || node.querySelector('.cell')));
+    }
+
+    scheduleRescan() {
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => this.refresh(), LIVE_BOARD_DEBOUNCE_MS);
+    }
+
+    // 把盘面变化通知popup（合并短时间内的多次变化）
+    scheduleNotify() {
+        clearTimeout(this.notifyTimer);
+        this.notifyTimer = setTimeout(() => {
+            chrome.runtime.sendMessage({
+                action: 'board_changed',
+                summary: this.getSummary()
+            }).catch(() => {
+                // 忽略popup未打开时的错误
+            });
+        }, LIVE_BOARD_DEBOUNCE_MS);
+    }
+
+    // 盘面摘要：尺寸、各状态的单元格数量、版本号和坐标来源
+    getSummary() {
+        return {
+            rows: this.constraintGrid ? this.constraintGrid.length : 0,
+            cols: this.constraintGrid ? this.constraintGrid[0].length : 0,
+            filled: this.puzzleData.filter(c => c.state === 'filled').length,
+            marked: this.puzzleData.filter(c => c.state === 'marked').length,
+            empty: this.puzzleData.filter(c => c.state === 'empty').length,
+            version: this.version,
+            source: puzzleSource
+        };
+    }
+
+    // 当前盘面：1表示填充，0表示标记为空白，-1表示未知
+    getBoardState() {
+        if (!this.constraintGrid) return null;
+        return convertToBoardState(this.puzzleData, this.constraintGrid.length, this.constraintGrid[0].length);
+    }
+}
+
+// 全局变量：实时盘面模型
+const liveBoard = new LiveBoard();
+
+// 工具函数：获取当前拼图数据（来自实时盘面模型，模型还没有数据时重新分析）
+function getBoardData() {
+    if (liveBoard.puzzleData.length === 0) {
+        liveBoard.refresh();
+    }
+    return liveBoard.puzzleData;
+}
+
+// 数字状态提示的颜色：已满足、未完成、已违反
+const CLUE_STATUS_STYLES = {
+    satisfied: { color: '#9e9e9e', fontWeight: '' },
+    open: { color: '#1976d2', fontWeight: '' },
+    violated: { color: '#f44336', fontWeight: 'bold' }
+};
+
+// 全局变量：是否开启数字状态提示（在popup中切换，保存在clueAssist设置中）
+let clueAssistEnabled = false;
+
+// 数字状态提示：按实时盘面给网页上的每个数字着色，盘面每次变化都会立即更新
+// 判断规则与求解器相同（见clueStatus），大盘面上也能一眼看出填多了或已经无法满足的数字
+function updateClueHighlights() {
+    if (!clueAssistEnabled) return;
+
+    const board = liveBoard.getBoardState();
+    if (!board) return;
 
-    cells.forEach((cell, index) => {
-        debugLog(`   点击 ${index + 1}/${cells.length}: (${cell.row}, ${cell.col}) 状态: ${cell.state}`);
-        clickCell(cell);
+    liveBoard.puzzleData.forEach(cell => {
+        const numberElement = cell.element.querySelector('.number');
+        if (!numberElement || cell.number === null) return;
+
+        const { filled, unknown } = countClueCells(board, cell.row, cell.col);
+        const status = clueStatus(parseInt(cell.number, 10), filled, unknown);
+        Object.assign(numberElement.style, CLUE_STATUS_STYLES[status]);
     });
+}
 
-    debugLog("🎯 批量点击完成！");
+// 开启或关闭数字状态提示，关闭时恢复网页上数字原来的样式
+function setClueAssist(enabled) {
+    clueAssistEnabled = enabled;
+    debugLog(`🔢 数字状态提示: ${enabled ? '开启' : '关闭'}`);
+
+    if (enabled) {
+        updateClueHighlights();
+    } else {
+        liveBoard.puzzleData.forEach(cell => {
+            const numberElement = cell.element.querySelector('.number');
+            if (numberElement) {
+                numberElement.style.color = '';
+                numberElement.style.fontWeight = '';
+            }
+        });
+    }
+}
+
+liveBoard.addListener(updateClueHighlights);
+
+// popup中切换设置后立即生效
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.clueAssist) {
+        setClueAssist(changes.clueAssist.newValue || false);
+    }
+});
+
+// 结束步骤演示会话（先停止自动播放，避免旧的会话继续点击网页）
+// 返回的Promise在正在执行的一步点击完成后resolve，之后再修改网页不会与旧的会话交错
+async function endStepSession() {
+    const controller = stepSolverState;
+    if (controller) {
+        stepSolverState = null;
+        await controller.pause();
+    }
+}
+
+// 自动播放步骤演示，每一步之后把进度推送给popup（popup关闭时播放继续进行）
+function playStepSession(controller) {
+    const notify = (result) => {
+        chrome.runtime.sendMessage({
+            action: 'step_progress',
+            result: result
+        }).catch(() => {
+            // 忽略popup未打开时的错误
+        });
+    };
+
+    controller.play(notify).then(() => {
+        // 播放结束（暂停、演示完成或出错）：推送最终进度，让popup恢复播放按钮
+        if (stepSolverState === controller) {
+            notify({ success: true, ...controller.getProgress() });
+        }
+    }).catch(error => {
+        console.error("自动播放步骤时出错:", error);
+        notify({ success: false, message: "自动播放时发生错误", ...controller.getProgress() });
+    });
 }
 
+// 网页换上了新拼图：旧拼图的步骤演示、求解任务和高亮都不再有效
+function handlePuzzleChanged() {
+    debugLog("🆕 检测到网页上换了新的拼图");
+    endStepSession();
+    boardSnapshots = [];
+    if (activeSolveJob) {
+        cancelSolveJob(activeSolveJob.id, false);
+    }
+    clearHighlights();
+    solutionOverlay.hide();
+
+    chrome.runtime.sendMessage({
+        action: 'puzzle_changed',
+        message: "网页上换了新的拼图，之前的演示和求解已停止"
+    }).catch(() => {});
+}
 
 // 从DOM数据转换为算法输入格式
 function convertToConstraintGrid(puzzleData) {
@@ -231,10 +662,42 @@ function convertToConstraintGrid(puzzleData) {
     return constraintGrid;
 }
 
-// 从解决方案转换为点击坐标
-function convertSolutionToClicks(solution, puzzleData) {
-    const clickCoordinates = [];
+// 从DOM数据转换为当前盘面：1表示填充，0表示标记为空白，-1表示未知
+function convertToBoardState(puzzleData, rows, cols) {
+    const board = Array(rows).fill().map(() => Array(cols).fill(-1));
+
+    puzzleData.forEach(cell => {
+        if (cell.row < 0 || cell.row >= rows || cell.col < 0 || cell.col >= cols) return;
+
+        if (cell.state === 'filled') {
+            board[cell.row][cell.col] = 1;
+        } else if (cell.state === 'marked') {
+            board[cell.row][cell.col] = 0;
+        }
+    });
+
+    return board;
+}
+
+// 从解决方案转换为要设置的单元格状态：解中填充的单元格设置为填充，
+// markBlanks为true时解中空白的单元格标记为X（写出完整的解），未确定的单元格不变
+function convertSolutionToChanges(solution, puzzleData, markBlanks = false) {
+    const changes = [];
+
+    puzzleData.forEach(cell => {
+        const value = solution[cell.row] ? solution[cell.row][cell.col] : undefined;
+        if (value === 1 && cell.state !== 'filled') {
+            changes.push({ cell: cell, state: 'filled' });
+        } else if (value === 0 && markBlanks && cell.state !== 'marked') {
+            changes.push({ cell: cell, state: 'marked' });
+        }
+    });
+
+    return changes;
+}
 
+// 按坐标数组把单元格设置为目标状态（步骤演示使用），返回setCellStates的结果
+function setCellsByCoordinates(coordinates, puzzleData, targetState) {
     // 创建DOM元素映射
     const cellMap = {};
     puzzleData.forEach(cell => {
@@ -242,57 +705,255 @@ function convertSolutionToClicks(solution, puzzleData) {
         cellMap[key] = cell;
     });
 
-    // 遍历解决方案，找出需要点击的单元格
-    for (let row = 0; row < solution.length; row++) {
-        for (let col = 0; col < solution[row].length; col++) {
-            if (solution[row][col] === 1) {
-                const key = `${row},${col}`;
-                const cell = cellMap[key];
-                if (cell && cell.state === 'empty') {
-                    clickCoordinates.push([row, col]);
-                }
+    const changes = coordinates
+        .map(([row, col]) => cellMap[`${row},${col}`])
+        .filter(cell => cell !== undefined)
+        .map(cell => ({ cell: cell, state: targetState }));
+
+    return setCellStates(changes);
+}
+
+// 创建（或复用）后台求解Worker
+// 扩展文件不能直接作为网页中的Worker地址，因此用一个Blob引导脚本通过importScripts加载
+function getSolverWorker() {
+    if (solverWorker) return solverWorker;
+
+    const scriptUrls = ['solver-core.js', 'solver-worker.js'].map(file => chrome.runtime.getURL(file));
+    const bootstrap = `importScripts(${scriptUrls.map(url => JSON.stringify(url)).join(', ')});`;
+    const blobUrl = URL.createObjectURL(new Blob([bootstrap], { type: 'application/javascript' }));
+
+    solverWorker = new Worker(blobUrl);
+    solverWorker.addEventListener('message', handleSolverWorkerMessage);
+    solverWorker.addEventListener('error', (event) => {
+        console.error("求解Worker出错:", event.message);
+        terminateSolverWorker(new Error(event.message || "求解Worker加载失败"));
+    });
+
+    debugLog("🧵 已创建后台求解Worker");
+    return solverWorker;
+}
+
+// 取消Worker中的一个任务
+// Worker分块求解，在块与块之间收到取消消息后停下，像超时一样发回只含传播确定单元格的result来结束该任务
+function cancelSolverWorkerJob(jobId) {
+    if (!pendingSolverJobs.has(jobId) || !solverWorker) return;
+
+    solverWorker.postMessage({ type: 'cancel', jobId: jobId });
+    debugLog(`⏹ 已请求取消后台求解任务 #${jobId}`);
+}
+
+// 终止Worker，所有未完成的任务以error失败
+function terminateSolverWorker(error) {
+    if (solverWorker) {
+        solverWorker.terminate();
+        solverWorker = null;
+    }
+
+    pendingSolverJobs.forEach(job => job.reject(error));
+    pendingSolverJobs.clear();
+}
+
+// 处理Worker发回的消息：进度、部分解、最终结果
+function handleSolverWorkerMessage(event) {
+    const message = event.data;
+    const job = pendingSolverJobs.get(message.jobId);
+    if (!job) return;
+
+    switch (message.type) {
+        case 'progress':
+            if (job.onProgress) {
+                job.onProgress(message.percentage, message.resolvedCells, message.totalCells);
             }
-        }
+            break;
+
+        case 'partial':
+            if (job.onPartial) {
+                job.onPartial(message.solution);
+            }
+            break;
+
+        case 'result':
+            pendingSolverJobs.delete(message.jobId);
+            job.resolve({
+                solution: message.solution,
+                partial: message.partial,
+                solved: message.solved,
+                timedOut: message.timedOut,
+                stopReason: message.stopReason,
+                stats: message.stats,
+                givenConflicts: message.givenConflicts,
+                unsatCore: message.unsatCore,
+                cancelled: job.signal ? job.signal.aborted : false
+            });
+            break;
+
+        case 'error':
+            pendingSolverJobs.delete(message.jobId);
+            job.reject(new Error(message.message));
+            break;
     }
+}
 
-    return clickCoordinates;
+// 在后台Worker中求解，返回Promise<{ solution, partial, solved, timedOut, stopReason, stats, givenConflicts, unsatCore, cancelled }>
+// partial与solution相同但未确定的单元格为-1（solution中按空白处理）
+// options为可序列化的求解选项（例如givens），handlers为回调；
+// handlers.signal（AbortSignal）被触发时Worker停止搜索，任务以cancelled结束，partial只含传播确定的单元格
+function solveInWorker(constraintGrid, options = {}, handlers = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = getSolverWorker();
+        const jobId = nextSolverJobId++;
+
+        pendingSolverJobs.set(jobId, {
+            resolve: resolve,
+            reject: reject,
+            signal: handlers.signal || null,
+            onProgress: handlers.onProgress || null,
+            onPartial: handlers.onPartial || null
+        });
+
+        if (handlers.signal) {
+            handlers.signal.addEventListener('abort', () => cancelSolverWorkerJob(jobId), { once: true });
+        }
+
+        worker.postMessage({
+            type: 'solve',
+            jobId: jobId,
+            constraintGrid: constraintGrid,
+            options: options,
+            debug: window.MOSAIC_DEBUG
+        });
+    });
 }
 
+// 读取用户在设置页面保存的求解配置（未设置的项使用默认值）
+async function loadSolverOptions() {
+    try {
+        const result = await chrome.storage.sync.get(['solverOptions']);
+        return { ...DEFAULT_SOLVER_OPTIONS, ...(result.solverOptions || {}) };
+    } catch (error) {
+        console.warn("读取求解设置失败，使用默认设置:", error.message);
+        return { ...DEFAULT_SOLVER_OPTIONS };
+    }
+}
 
-// 根据坐标数组点击单元格 - 保持兼容性
-function clickCellsByCoordinates(coordinates, puzzleData, stepByStep = false) {
-    debugLog(`🖱️ 准备点击 ${coordinates.length} 个单元格...`);
+// 求解入口：优先使用后台Worker，Worker不可用时（例如网页CSP禁止）回退到主线程
+// 主线程同样分块求解，块与块之间让出线程，handlers.signal触发后在下一块开始前停下
+async function runSolver(constraintGrid, options = {}, handlers = {}) {
+    if (handlers.signal && handlers.signal.aborted) {
+        return { solution: null, solved: false, timedOut: false, stopReason: 'cancelled', stats: null, cancelled: true };
+    }
 
-    // 创建DOM元素映射
-    const cellMap = {};
-    puzzleData.forEach(cell => {
-        const key = `${cell.row},${cell.col}`;
-        cellMap[key] = cell;
+    try {
+        return await solveInWorker(constraintGrid, options, handlers);
+    } catch (error) {
+        console.warn("后台求解不可用，改为在页面主线程求解:", error.message);
+
+        let givenConflicts = null;
+        let unsatCore = null;
+        const session = new SolverSession({ ...options, signal: handlers.signal || null });
+        const { solution, partial, stats } = await solveMosaicAsync(constraintGrid, handlers.onProgress || null, {
+            ...options,
+            session: session,
+            partialCallback: handlers.onPartial || null,
+            givenConflictCallback: (conflicts) => {
+                givenConflicts = conflicts;
+            },
+            unsatCoreCallback: (core) => {
+                unsatCore = core;
+            }
+        });
+        return {
+            solution: solution,
+            partial: partial,
+            solved: isValidSolution(solution, constraintGrid),
+            timedOut: session.isTimeoutExceeded,
+            stopReason: session.stopReason,
+            stats: stats,
+            givenConflicts: givenConflicts,
+            unsatCore: unsatCore,
+            cancelled: handlers.signal ? handlers.signal.aborted : false
+        };
+    }
+}
+
+// 开始一个求解任务：立即返回任务对象，求解完成后向popup发送solve_finished消息
+// useBoard为true时从玩家当前盘面继续求解，markBlanks为true时把解中的空白单元格标记为X
+function startSolveJob(stepByStep, useBoard = false, markBlanks = false) {
+    // 同一时间只保留一个求解任务，旧任务直接丢弃
+    if (activeSolveJob) {
+        cancelSolveJob(activeSolveJob.id, false);
+    }
+    takeBoardSnapshot(stepByStep ? '步骤演示' : '求解');
+
+    const job = {
+        id: nextSolveJobId++,
+        stepByStep: stepByStep,
+        useBoard: useBoard,
+        markBlanks: markBlanks,
+        abortController: new AbortController(),
+        finished: null,      // 任务结束（包括点击完成）时resolve的Promise
+        applyPartial: false,
+        resultMessage: null, // 求解结束时给popup的特殊说明（例如玩家盘面有错）
+        stopped: false,      // 是否因安全限制而停止（只应用了部分解）
+        stats: null          // 求解统计，随solve_finished一起发给popup
+    };
+    activeSolveJob = job;
+    debugLog(`📋 开始求解任务 #${job.id}`);
+
+    job.finished = solveMosaicPuzzle(stepByStep, job).then(success => {
+        if (job.abortController.signal.aborted) {
+            finishSolveJob(job, 'cancelled', job.resultMessage ||
+                (job.applyPartial ? "求解已停止，已应用部分解" : "求解已停止，部分解已丢弃"));
+        } else {
+            finishSolveJob(job, success ? 'completed' : job.stopped ? 'stopped' : 'failed',
+                job.resultMessage || (success ? "求解完成！" : "求解失败，请检查拼图状态"));
+        }
+    }).catch(error => {
+        console.error("求解拼图时出错:", error);
+        finishSolveJob(job, 'failed', "求解过程中发生错误");
     });
 
-    // 获取要点击的单元格对象
-    const cellsToClick = coordinates.map(([row, col]) => {
-        const key = `${row},${col}`;
-        return cellMap[key];
-    }).filter(cell => cell !== undefined);
+    return job;
+}
 
-    debugLog(`🎯 找到 ${cellsToClick.length} 个有效单元格`);
+// 结束求解任务并通知popup
+function finishSolveJob(job, status, message) {
+    if (activeSolveJob === job) {
+        activeSolveJob = null;
+    }
 
-    // 执行点击
-    if (stepByStep) {
-        executeClicksWithDelay(cellsToClick);
-    } else {
-        executeClicksInstantly(cellsToClick);
+    debugLog(`📋 求解任务 #${job.id} 结束: ${status}`);
+    chrome.runtime.sendMessage({
+        action: 'solve_finished',
+        jobId: job.id,
+        status: status,
+        message: message,
+        stats: job.stats
+    }).catch(() => {
+        // 忽略popup未打开时的错误
+    });
+}
+
+// 停止求解任务，applyPartial决定是否把已找到的部分解应用到网页
+function cancelSolveJob(jobId, applyPartial) {
+    if (!activeSolveJob || activeSolveJob.id !== jobId) {
+        return false;
     }
+
+    debugLog(`⏹ 停止求解任务 #${jobId}，${applyPartial ? '应用' : '丢弃'}部分解`);
+    activeSolveJob.applyPartial = applyPartial;
+    activeSolveJob.abortController.abort();
+    activeSolveJob = null;
+    return true;
 }
 
 // 主要的求解函数 - 整合所有步骤
-async function solveMosaicPuzzle(stepByStep = false) {
+async function solveMosaicPuzzle(stepByStep = false, job = null) {
     debugLog("🧠 开始求解马赛克拼图...");
     debugLog(`📋 模式: ${stepByStep ? '步骤演示' : '即时求解'}`);
 
     // 1. 获取拼图数据
-    const puzzleData = analyzePuzzle();
+    const puzzleData = getBoardData();
     if (puzzleData.length === 0) {
         debugLog("❌ 无法获取拼图数据");
         return false;
@@ -305,11 +966,28 @@ async function solveMosaicPuzzle(stepByStep = false) {
         return false;
     }
 
+    // 从当前盘面继续时，玩家已填充/标记的单元格作为已知条件
+    const useBoard = job ? job.useBoard : false;
+    const givens = useBoard ?
+        convertToBoardState(puzzleData, constraintGrid.length, constraintGrid[0].length) :
+        null;
+    if (givens) {
+        debugLog("📌 从当前盘面继续求解");
+    }
+
     // 3. 执行求解算法
+    const solverOptions = await loadSolverOptions();
     let solution;
     if (stepByStep) {
-        // 步骤演示模式：在算法内部直接执行点击
-        solution = await solveMosaicAlgorithm(constraintGrid, true, puzzleData);
+        // 步骤演示模式：由步骤控制器在每一步执行点击
+        const stepResult = solveMosaicAlgorithm(constraintGrid, true, puzzleData, null, {
+            ...solverOptions,
+            givens: givens,
+            markBlanks: job ? job.markBlanks : false
+        });
+        solution = stepResult.solution;
+        await endStepSession();
+        stepSolverState = stepResult.controller;
         debugLog("🎬 步骤演示完成！");
         return true; // 直接返回，不需要额外点击
     } else {
@@ -326,59 +1004,520 @@ async function solveMosaicPuzzle(stepByStep = false) {
             });
         };
 
-        solution = solveMosaicAlgorithm(constraintGrid, false, null, progressCallback);
+        // 在后台Worker中求解，页面在求解期间保持响应
+        const result = await runSolver(constraintGrid, { ...solverOptions, givens: givens }, {
+            onProgress: progressCallback,
+            signal: job ? job.abortController.signal : null
+        });
+        solution = result.solution;
+        if (job) {
+            job.stats = result.stats;
+        }
+        if (result.stats) {
+            debugLog("📈 求解统计:", result.stats);
+        }
+
+        // 玩家盘面与所有解矛盾：高亮出错的单元格，不做任何点击
+        if (result.givenConflicts) {
+            reportGivenConflicts(result.givenConflicts, puzzleData, job);
+            return false;
+        }
 
-        // 检查是否因安全限制而停止
-        if (window.SolverSafetyManager && window.SolverSafetyManager.isTimeoutExceeded) {
-            debugLog("⚠️ 求解因超时而停止");
-            // 发送超时消息到popup
-            chrome.runtime.sendMessage({
-                action: 'solver_timeout',
-                message: '求解超时（30秒），返回部分解'
-            }).catch(() => {});
+        // 拼图本身无解：高亮互相矛盾的数字，不做任何点击
+        if (result.unsatCore) {
+            const message = reportUnsatCore(result.unsatCore, puzzleData);
+            if (job) {
+                job.resultMessage = message;
+            }
+            return false;
+        }
+
+        // 用户停止了求解：按用户的选择应用或丢弃部分解
+        if (result.cancelled) {
+            if (!job.applyPartial || !solution) {
+                debugLog("🗑️ 求解已停止，丢弃部分解");
+                return false;
+            }
+            debugLog("🧩 求解已停止，应用部分解");
+        }
+
+        // 4. 转换解决方案为要设置的单元格状态
+        // 没有完全求解时只应用已经确定的单元格（partial中为-1的单元格不变），也不把空白单元格标记为X
+        const applied = result.solved ? solution : (result.partial || solution);
+        const markBlanks = job ? job.markBlanks && result.solved : false;
+        const changes = convertSolutionToChanges(applied, puzzleData, markBlanks);
+
+        debugLog(`🎲 需要设置 ${changes.length} 个单元格`);
+
+        // 5. 设置单元格状态（逐个确认），点击过程中停止求解时不再点击剩下的单元格
+        // （在Worker求解期间就已停止并选择应用部分解时，信号已经触发，部分解仍然要全部应用）
+        const { changed, failed, aborted } = await setCellStates(changes, {
+            signal: job && !result.cancelled ? job.abortController.signal : null
+        });
+        if (aborted) {
+            job.resultMessage = `求解已停止，已设置${changed}个单元格`;
+            return false;
+        }
+        if (failed.length > 0) {
+            if (job) {
+                job.resultMessage = `求解完成，但有 ${failed.length} 个单元格未能设置，请查看控制台`;
+            }
+            return false;
+        }
+
+        // 因安全限制（时间、节点数或递归深度）停止：说明是哪个限制，统计随solve_finished一起显示
+        if (!result.solved && result.stopReason && !result.cancelled) {
+            debugLog(`⚠️ 求解因安全限制而停止: ${result.stopReason}`);
+            if (job) {
+                job.stopped = true;
+                job.resultMessage = `${describeStopReason(result.stopReason, solverOptions)}，` +
+                    `已应用${changes.length}个确定的单元格`;
+            }
+        }
+
+        return result.solved;
+    }
+}
+
+// 工具函数：安全限制停止原因的说明
+function describeStopReason(stopReason, options) {
+    switch (stopReason) {
+        case 'timeout':
+            return `求解超时（${options.maxTimeMs / 1000}秒）`;
+        case 'iterations':
+            return `达到节点数限制（${options.maxNodes}个）`;
+        case 'depth':
+            return `达到递归深度限制（${options.maxDepth}层）`;
+        default:
+            return `求解停止（${stopReason}）`;
+    }
+}
+
+
+// 高亮单元格（不改变单元格状态）
+function highlightCell(cell, color) {
+    cell.element.style.outline = `3px solid ${color}`;
+    cell.element.style.outlineOffset = '-3px';
+    highlightedElements.push(cell.element);
+}
+
+// 清除所有高亮
+function clearHighlights() {
+    highlightedElements.forEach(element => {
+        element.style.outline = '';
+        element.style.outlineOffset = '';
+    });
+    highlightedElements = [];
+}
+
+// 答案覆盖层的样式：填充、空白、未确定的单元格和需要注意的数字
+const OVERLAY_STYLES = {
+    filled: 'rgba(33, 33, 33, 0.55)',
+    blank: '#4caf50',
+    unknown: 'rgba(255, 193, 7, 0.35)',
+    clue: '#9c27b0'
+};
+
+// 答案覆盖层：在网页拼图上方绘制求解结果，不点击也不修改网页上的任何单元格。
+// 覆盖层不接收鼠标事件，玩家仍然可以正常操作下面的拼图；同一个拼图只求解一次
+class SolutionOverlay {
+    constructor() {
+        this.layer = null;
+        this.visible = false;
+        this.result = null;     // { solution, clues, solved }
+        this.signature = null;  // result对应的拼图（LiveBoard.signature）
+        this.onViewportChange = () => this.render();
+    }
+
+    // 显示覆盖层（需要时先在后台求解），返回给popup的响应
+    async show() {
+        this.visible = true;
+        getBoardData();
+        const constraintGrid = liveBoard.constraintGrid;
+        if (!constraintGrid) {
+            this.visible = false;
+            return { success: false, visible: false, message: "无法获取拼图数据" };
+        }
+
+        if (!this.result || this.signature !== liveBoard.signature) {
+            debugLog("🖼️ 为覆盖层求解拼图...");
+            const solverOptions = await loadSolverOptions();
+            const result = await runSolver(constraintGrid, solverOptions);
+            // 没有完全求解时使用partial，未确定的单元格（-1）显示为黄色
+            this.result = {
+                solution: result.solved ? result.solution : (result.partial || result.solution),
+                clues: result.unsatCore ? result.unsatCore.clues : [],
+                solved: result.solved
+            };
+            this.signature = liveBoard.signature;
+        }
+
+        // 求解期间可能已经被关闭
+        if (!this.visible) {
+            return { success: true, visible: false, message: "答案覆盖层已关闭" };
+        }
+
+        this.render();
+        window.addEventListener('resize', this.onViewportChange);
+        window.addEventListener('scroll', this.onViewportChange, true);
+
+        let message = "已显示答案覆盖层，网页上的拼图没有被修改";
+        if (this.result.clues.length > 0) {
+            message = "拼图无解，覆盖层中高亮了互相矛盾的数字";
+        } else if (!this.result.solved) {
+            message = "未能完全求解，黄色为未确定的单元格";
+        }
+        return { success: true, visible: true, message: message };
+    }
+
+    // 隐藏覆盖层（保留求解结果，再次显示时不必重新求解）
+    hide() {
+        this.visible = false;
+        if (this.layer) {
+            this.layer.remove();
+            this.layer = null;
+        }
+        window.removeEventListener('resize', this.onViewportChange);
+        window.removeEventListener('scroll', this.onViewportChange, true);
+    }
+
+    // 按单元格当前在页面上的位置重新绘制
+    render() {
+        if (!this.visible || !this.result) return;
+
+        if (!this.layer) {
+            this.layer = document.createElement('div');
+            this.layer.className = 'mosaic-solver-overlay';
+            Object.assign(this.layer.style, {
+                position: 'absolute',
+                left: '0',
+                top: '0',
+                pointerEvents: 'none',
+                zIndex: '2147483647'
+            });
+            document.body.appendChild(this.layer);
+        }
+        this.layer.textContent = '';
+
+        const { solution, clues } = this.result;
+        const clueKeys = new Set(clues.map(({ row, col }) => `${row},${col}`));
+
+        getBoardData().forEach(cell => {
+            const rect = cell.element.getBoundingClientRect();
+            const value = solution && solution[cell.row] ? solution[cell.row][cell.col] : -1;
+
+            const mark = document.createElement('div');
+            Object.assign(mark.style, {
+                position: 'absolute',
+                left: `${rect.left + window.scrollX}px`,
+                top: `${rect.top + window.scrollY}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`,
+                boxSizing: 'border-box',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontSize: `${Math.round(rect.height * 0.6)}px`,
+                fontWeight: 'bold'
+            });
+
+            if (value === 1) {
+                mark.style.backgroundColor = OVERLAY_STYLES.filled;
+            } else if (value === 0) {
+                mark.style.color = OVERLAY_STYLES.blank;
+                mark.textContent = '×';
+            } else {
+                mark.style.backgroundColor = OVERLAY_STYLES.unknown;
+            }
+            if (clueKeys.has(`${cell.row},${cell.col}`)) {
+                mark.style.outline = `3px solid ${OVERLAY_STYLES.clue}`;
+                mark.style.outlineOffset = '-3px';
+            }
+
+            this.layer.appendChild(mark);
+        });
+    }
+}
+
+// 全局变量：答案覆盖层
+const solutionOverlay = new SolutionOverlay();
+
+// 提示模式：根据当前盘面找出下一个能逻辑推出的单元格并高亮
+function getPuzzleHint() {
+    debugLog("💡 开始查找提示...");
+    clearHighlights();
+
+    const puzzleData = getBoardData();
+    const constraintGrid = convertToConstraintGrid(puzzleData);
+    if (!constraintGrid) {
+        return { success: false, message: "无法获取拼图数据" };
+    }
+
+    const board = convertToBoardState(puzzleData, constraintGrid.length, constraintGrid[0].length);
+    const hint = findNextHint(constraintGrid, board);
+
+    if (!hint) {
+        debugLog("🤔 当前盘面没有可以直接推出的单元格");
+        return { success: true, found: false, message: "当前盘面没有可以直接推出的单元格" };
+    }
+
+    const cellMap = {};
+    puzzleData.forEach(cell => {
+        cellMap[`${cell.row},${cell.col}`] = cell;
+    });
+
+    // 高亮相关的数字约束，以及被推出的单元格
+    const relatedClues = hint.relatedClues || [hint.clue];
+    relatedClues.forEach(clue => {
+        const clueCell = cellMap[`${clue.row},${clue.col}`];
+        if (clueCell) {
+            highlightCell(clueCell, hint.contradiction ? '#f44336' : '#2196F3');
+        }
+    });
+    if (!hint.contradiction) {
+        const targetCell = cellMap[`${hint.row},${hint.col}`];
+        if (targetCell) {
+            highlightCell(targetCell, hint.value === 1 ? '#4CAF50' : '#ff9800');
         }
+    }
+
+    debugLog(`💡 提示: ${hint.reason}`);
+
+    return {
+        success: true,
+        found: true,
+        contradiction: hint.contradiction || false,
+        hint: hint,
+        message: hint.contradiction ? `⚠️ 盘面有矛盾：${hint.reason}` : hint.reason
+    };
+}
 
-        // 4. 转换解决方案为点击坐标
-        const clickCoordinates = convertSolutionToClicks(solution, puzzleData);
+// 高亮并报告玩家盘面中与解矛盾的单元格
+function reportGivenConflicts(conflicts, puzzleData, job) {
+    clearHighlights();
+
+    const cellMap = {};
+    puzzleData.forEach(cell => {
+        cellMap[`${cell.row},${cell.col}`] = cell;
+    });
 
-        debugLog(`🎲 生成了 ${clickCoordinates.length} 个点击坐标`);
+    conflicts.forEach(({ row, col }) => {
+        const cell = cellMap[`${row},${col}`];
+        if (cell) {
+            highlightCell(cell, '#f44336');
+        }
+    });
 
-        // 5. 执行点击
-        clickCellsByCoordinates(clickCoordinates, puzzleData, false);
+    const cellList = conflicts.slice(0, 5).map(({ row, col }) => `(${row},${col})`).join('、');
+    const message = conflicts.length === 0 ? "当前盘面与所有解矛盾" :
+        conflicts.length === 1 ? `当前盘面的单元格${cellList}与所有解矛盾` :
+        `当前盘面有${conflicts.length}个单元格不能同时成立（其中至少一个有错）：${cellList}${conflicts.length > 5 ? ' 等' : ''}`;
 
-        return clickCoordinates.length > 0;
+    debugLog(`❌ ${message}`);
+    if (job) {
+        job.resultMessage = message;
     }
 }
 
+// 高亮并描述拼图中互相矛盾的数字（通常说明某个数字识别错误或拼图输入有误），返回说明文字
+function reportUnsatCore(unsatCore, puzzleData) {
+    clearHighlights();
+
+    const cellMap = {};
+    puzzleData.forEach(cell => {
+        cellMap[`${cell.row},${cell.col}`] = cell;
+    });
+
+    unsatCore.clues.forEach(({ row, col }) => {
+        const cell = cellMap[`${row},${col}`];
+        if (cell) {
+            highlightCell(cell, '#9c27b0');
+        }
+    });
+
+    const clueList = unsatCore.clues.slice(0, 5).map(({ row, col, count }) => `(${row},${col})=${count}`).join('、');
+    const message = `拼图无解：${unsatCore.minimal ? '' : '至少'}以下${unsatCore.clues.length}个数字互相矛盾：` +
+        `${clueList}${unsatCore.clues.length > 5 ? ' 等' : ''}`;
 
-// 即时执行所有点击
-function executeClicksInstantly(cells) {
-    debugLog("⚡ 即时执行所有点击...");
-    clickMultipleCells(cells);
-    debugLog("✅ 即时点击完成！");
+    debugLog(`❌ ${message}`);
+    return message;
 }
 
-// 带延时的点击演示
-function executeClicksWithDelay(cells) {
-    debugLog("🎬 开始点击演示...");
+// 找出当前盘面上已经违反的数字约束：填充过多，或剩余的空白单元格不够填
+function findViolatedClues(constraintGrid, board) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    const violated = [];
 
-    cells.forEach((cell, index) => {
-        setTimeout(() => {
-            debugLog(`📍 步骤 ${index + 1}/${cells.length}: 点击 (${cell.row}, ${cell.col})`);
-            clickCell(cell);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const requiredCount = constraintGrid[r][c];
+            if (requiredCount === null) continue;
 
-            if (index === cells.length - 1) {
-                debugLog("🎉 点击演示完成！");
+            const { filled, unknown } = countClueCells(board, r, c);
+            if (clueStatus(requiredCount, filled, unknown) === 'violated') {
+                violated.push({ row: r, col: c, count: requiredCount, filled: filled, unknown: unknown });
             }
-        }, index * 1000); // 每秒执行一步
+        }
+    }
+
+    return violated;
+}
+
+// 检查盘面：在后台求解并与玩家盘面比较，只高亮错误，不点击任何单元格
+async function verifyBoard() {
+    debugLog("🔎 开始检查盘面...");
+    clearHighlights();
+
+    const puzzleData = getBoardData();
+    const constraintGrid = convertToConstraintGrid(puzzleData);
+    if (!constraintGrid) {
+        return { success: false, message: "无法获取拼图数据" };
+    }
+
+    const board = convertToBoardState(puzzleData, constraintGrid.length, constraintGrid[0].length);
+    const violatedClues = findViolatedClues(constraintGrid, board);
+
+    // 以玩家盘面为已知条件求解：有解说明目前没有错误，否则会得到与所有解矛盾的单元格
+    const result = await runSolver(constraintGrid, { ...(await loadSolverOptions()), givens: board });
+    const wrongCells = result.givenConflicts || [];
+
+    // 拼图本身无解时无法比较，改为报告互相矛盾的数字
+    if (result.unsatCore) {
+        return {
+            success: true,
+            hasErrors: true,
+            unsatCore: result.unsatCore,
+            message: reportUnsatCore(result.unsatCore, puzzleData)
+        };
+    }
+
+    if (!result.solved && !result.givenConflicts && violatedClues.length === 0) {
+        const reason = result.stopReason ? "求解未能在限制内完成" : "拼图本身无解";
+        return { success: false, message: `无法检查盘面：${reason}` };
+    }
+
+    const cellMap = {};
+    puzzleData.forEach(cell => {
+        cellMap[`${cell.row},${cell.col}`] = cell;
+    });
+
+    wrongCells.forEach(({ row, col }) => {
+        const cell = cellMap[`${row},${col}`];
+        if (cell) highlightCell(cell, '#f44336');
+    });
+    violatedClues.forEach(({ row, col }) => {
+        const cell = cellMap[`${row},${col}`];
+        if (cell) highlightCell(cell, '#ff9800');
     });
+
+
+    let message;
+    if (wrongCells.length === 0 && violatedClues.length === 0) {
+        message = "盘面没有发现错误";
+    } else {
+        const parts = [];
+        if (wrongCells.length === 1) {
+            parts.push(wrongCells[0].given === 1 ? '1个填充错误' : '1个标记错误');
+        } else if (wrongCells.length > 1) {
+            parts.push(`${wrongCells.length}个单元格不能同时成立（其中至少一个有错）`);
+        }
+        if (violatedClues.length > 0) parts.push(`${violatedClues.length}个数字已被违反`);
+        message = `发现${parts.join('，')}（已在网页上高亮）`;
+    }
+
+    debugLog(`🔎 检查结果: ${message}`);
+
+    return {
+        success: true,
+        wrongCells: wrongCells,
+        violatedClues: violatedClues,
+        hasErrors: wrongCells.length > 0 || violatedClues.length > 0,
+        message: message
+    };
+}
+
+// 把当前网页上的拼图（提示数字和已填的盘面）导出为拼图文本
+function exportPuzzleText() {
+    const puzzleData = getBoardData();
+    const constraintGrid = convertToConstraintGrid(puzzleData);
+    if (!constraintGrid) {
+        return { success: false, message: "无法获取拼图数据" };
+    }
+
+    const board = convertToBoardState(puzzleData, constraintGrid.length, constraintGrid[0].length);
+    const text = MosaicPuzzleText.serializePuzzleText({ clues: constraintGrid, state: board });
+    debugLog("📋 导出拼图文本:\n" + text);
+
+    return { success: true, text: text, message: "已导出拼图文本" };
 }
 
+// 从拼图文本加载盘面：提示数字必须与网页上的拼图一致，
+// 有[state]节时把网页盘面设置为该状态，否则有[solution]节时填入解（已标记的空白单元格保持标记）
+async function loadPuzzleText(text) {
+    let puzzle;
+    try {
+        puzzle = MosaicPuzzleText.parsePuzzleText(text);
+    } catch (error) {
+        return { success: false, message: `拼图文本格式错误：${error.message}` };
+    }
+
+    const puzzleData = getBoardData();
+    const constraintGrid = convertToConstraintGrid(puzzleData);
+    if (!constraintGrid) {
+        return { success: false, message: "无法获取拼图数据" };
+    }
 
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    if (puzzle.clues.length !== rows || puzzle.clues[0].length !== cols) {
+        return {
+            success: false,
+            message: `文本中的拼图是${puzzle.clues[0].length}x${puzzle.clues.length}，网页上的拼图是${cols}x${rows}`
+        };
+    }
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (puzzle.clues[r][c] !== constraintGrid[r][c]) {
+                return { success: false, message: `文本中的提示数字与网页上的拼图不一致：(${r},${c})` };
+            }
+        }
+    }
 
-// 重置扩展状态
-function resetExtensionState() {
-    stepSolverState = null;
+    if (!puzzle.state && !puzzle.solution) {
+        return { success: true, message: "拼图与网页一致，文本中没有盘面或解可以加载" };
+    }
+
+    const changes = [];
+    puzzleData.forEach(cell => {
+        if (cell.row < 0 || cell.row >= rows || cell.col < 0 || cell.col >= cols) return;
+
+        let targetState;
+        if (puzzle.state) {
+            const value = puzzle.state[cell.row][cell.col];
+            targetState = value === 1 ? 'filled' : value === 0 ? 'marked' : 'empty';
+        } else {
+            const value = puzzle.solution[cell.row][cell.col];
+            targetState = value === 1 ? 'filled' : cell.state === 'marked' ? 'marked' : 'empty';
+        }
+
+        changes.push({ cell: cell, state: targetState });
+    });
+
+    const source = puzzle.state ? "盘面" : "解";
+    takeBoardSnapshot(`加载${source}`);
+    const { changed, failed } = await setCellStates(changes);
+    debugLog(`📥 从文本加载${source}，修改了${changed}个单元格`);
+    if (failed.length > 0) {
+        return { success: false, message: `已从文本加载${source}，但有${failed.length}个单元格未能设置` };
+    }
+    return { success: true, message: `已从文本加载${source}，修改了${changed}个单元格` };
+}
+
+// 重置扩展状态，返回的Promise在步骤演示和求解任务都停止点击之后resolve
+async function resetExtensionState() {
+    await stopBoardChanges();
+    solutionOverlay.hide();
 
     // 清理控制台（如果可能）
     if (typeof console.clear === 'function') {
@@ -388,11 +1527,103 @@ function resetExtensionState() {
     debugLog("🔄 扩展状态已重置");
 }
 
+// 最多保留的盘面快照数量（超出时丢弃最早的）
+const BOARD_SNAPSHOT_LIMIT = 20;
+
+// 全局变量：求解、提示、步骤演示、从文本加载和全部清空之前的盘面快照（最新的在最后），换了新拼图或恢复进度后清空
+let boardSnapshots = [];
+
+// 记录当前盘面：每个单元格的状态（empty/filled/marked）
+// 与最近一次快照相同时不重复记录，只把快照的说明改为这次的操作（撤销时撤销的是之后的修改）
+function takeBoardSnapshot(reason) {
+    const puzzleData = getBoardData();
+    if (puzzleData.length === 0) return null;
+
+    const latest = boardSnapshots[boardSnapshots.length - 1];
+    if (latest && latest.signature === liveBoard.signature && !snapshotDiffers(latest, puzzleData)) {
+        latest.reason = reason;
+        return latest;
+    }
+
+    const states = new Map(puzzleData.map(cell => [`${cell.row},${cell.col}`, cell.state]));
+    const snapshot = { reason: reason, signature: liveBoard.signature, states: states };
+    boardSnapshots.push(snapshot);
+    if (boardSnapshots.length > BOARD_SNAPSHOT_LIMIT) {
+        boardSnapshots.shift();
+    }
+    debugLog(`📸 记录盘面快照（${reason}），共${boardSnapshots.length}个`);
+    return snapshot;
+}
+
+// 工具函数：快照与当前盘面是否有不同的单元格
+function snapshotDiffers(snapshot, puzzleData) {
+    return puzzleData.some(cell => {
+        const state = snapshot.states.get(`${cell.row},${cell.col}`);
+        return state !== undefined && state !== cell.state;
+    });
+}
+
+// 把网页上的单元格恢复到快照中的状态（按状态循环逐个点击，只点击不同的单元格）
+async function restoreBoardSnapshot(snapshot) {
+    const changes = getBoardData()
+        .filter(cell => {
+            const state = snapshot.states.get(`${cell.row},${cell.col}`);
+            return state !== undefined && state !== cell.state;
+        })
+        .map(cell => ({ cell: cell, state: snapshot.states.get(`${cell.row},${cell.col}`) }));
+
+    debugLog(`⏪ 恢复盘面快照（${snapshot.reason}），需要修改${changes.length}个单元格`);
+    return setCellStates(changes);
+}
+
+// 停止扩展正在进行的修改（求解任务、步骤演示和高亮），恢复快照之前调用
+// 等到自动播放的当前一步和求解任务的点击都结束后才resolve，避免与恢复快照的点击交错
+async function stopBoardChanges() {
+    const job = activeSolveJob;
+    const stepStopped = endStepSession();
+    if (job) {
+        cancelSolveJob(job.id, false);
+    }
+    clearHighlights();
+    await Promise.all([stepStopped, job ? job.finished : null]);
+}
+
+// 撤销最近一次求解：恢复到最近一次与当前盘面不同的快照（与当前盘面相同的快照，例如只看了提示，直接跳过）
+async function undoSolve() {
+    await stopBoardChanges();
+
+    const puzzleData = getBoardData();
+    while (boardSnapshots.length > 0) {
+        const snapshot = boardSnapshots.pop();
+        if (snapshot.signature !== liveBoard.signature || !snapshotDiffers(snapshot, puzzleData)) {
+            continue;
+        }
+
+        const { changed, failed } = await restoreBoardSnapshot(snapshot);
+        const message = `已撤销${snapshot.reason}，恢复了${changed}个单元格` +
+            (failed.length > 0 ? `，${failed.length}个单元格未能恢复` : '');
+        return { success: failed.length === 0, message: message };
+    }
+
+    return { success: false, message: "没有可以撤销的修改" };
+}
+
+// 恢复我的进度：回到扩展第一次修改盘面之前（最早的快照）的状态，然后清空快照
+async function restorePlayerProgress() {
+    const snapshot = boardSnapshots.find(s => s.signature === liveBoard.signature);
+    boardSnapshots = [];
+    if (!snapshot) {
+        debugLog("🤷 没有可以恢复的进度");
+        return null;
+    }
+    return restoreBoardSnapshot(snapshot);
+}
+
 // 重置拼图网格 - 将所有单元格恢复到空白状态
-function resetPuzzleGrid() {
+async function resetPuzzleGrid() {
     debugLog("🔄 开始重置拼图网格...");
 
-    const puzzleData = analyzePuzzle();
+    const puzzleData = getBoardData();
     if (puzzleData.length === 0) {
         debugLog("❌ 无法获取拼图数据");
         return false;
@@ -408,21 +1639,10 @@ function resetPuzzleGrid() {
 
     debugLog(`🎯 找到 ${nonEmptyCells.length} 个非空白单元格，准备重置`);
 
-    // 瞬时重置所有非空白单元格
-    nonEmptyCells.forEach((cell) => {
-        debugLog(`   重置单元格 (${cell.row}, ${cell.col}) 当前状态: ${cell.state}`);
-
-        // 根据单元格状态决定点击次数
-        const clickCount = cell.state === 'filled' ? 1 : cell.state === 'marked' ? 2 : 1;
-
-        // 连续点击重置单元格状态
-        for (let i = 0; i < clickCount; i++) {
-            clickCell(cell);
-        }
-    });
+    const { failed } = await setCellStates(nonEmptyCells.map(cell => ({ cell: cell, state: 'empty' })));
 
-    debugLog("🎉 拼图网格重置完成");
-    return true;
+    debugLog(failed.length === 0 ? "🎉 拼图网格重置完成" : `⚠️ 有 ${failed.length} 个单元格未能重置`);
+    return failed.length === 0;
 }
 
 // 监听来自popup的消息
@@ -435,59 +1655,123 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch(message.action) {
         case 'analyze':
             // 分析拼图并返回结果
-            const puzzleData = analyzePuzzle();
+            liveBoard.refresh();
+            const puzzleData = liveBoard.puzzleData;
             sendResponse({
                 success: true,
                 data: puzzleData,
-                message: `分析完成！找到 ${puzzleData.length} 个单元格`
+                source: puzzleSource,
+                message: `分析完成！找到 ${puzzleData.length} 个单元格` +
+                    (puzzleSource === 'site-task' ? "（使用网站任务数据）" : "（按网格几何推断）") +
+                    (puzzleIssues.length > 0 ? `；⚠️ ${puzzleIssues.join('，')}` : ''),
+                issues: puzzleIssues
             });
             break;
 
         case 'solve_puzzle':
-            // 求解拼图
+            // 求解拼图：作为任务异步执行，结果通过solve_finished消息通知popup
             const stepByStep = message.stepByStep || false;
+            const solveJob = startSolveJob(stepByStep, message.useBoard || false, message.markBlanks || false);
 
-            // 使用异步处理
-            solveMosaicPuzzle(stepByStep).then(success => {
-                sendResponse({
-                    success: success,
-                    message: success ?
-                        (stepByStep ? "开始步骤演示求解..." : "开始即时求解...") :
-                        "求解失败，请检查拼图状态"
+            // 立即发送初始响应，附带任务id以便popup停止求解
+            sendResponse({
+                success: true,
+                jobId: solveJob.id,
+                message: stepByStep ? "正在开始步骤演示..." : "正在开始即时求解..."
+            });
+            break;
+
+        case 'cancel_solve':
+            // 停止正在进行的求解任务
+            const cancelled = cancelSolveJob(message.jobId, message.applyPartial || false);
+            sendResponse({
+                success: cancelled,
+                message: cancelled ? "正在停止求解..." : "没有正在进行的求解任务"
+            });
+            break;
+
+        case 'board_state':
+            // 返回实时盘面模型的摘要和盘面（不重新扫描DOM）
+            getBoardData();
+            sendResponse({
+                success: true,
+                summary: liveBoard.getSummary(),
+                board: liveBoard.getBoardState(),
+                overlayVisible: solutionOverlay.visible,
+                stepProgress: stepSolverState ? stepSolverState.getProgress() : null
+            });
+            break;
+
+        case 'overlay':
+            // 显示或隐藏答案覆盖层（不修改网页上的拼图）
+            if (message.visible) {
+                solutionOverlay.show().then(sendResponse).catch(error => {
+                    console.error("显示答案覆盖层时出错:", error);
+                    solutionOverlay.hide();
+                    sendResponse({
+                        success: false,
+                        visible: false,
+                        message: "显示答案覆盖层时发生错误"
+                    });
                 });
-            }).catch(error => {
-                console.error("求解拼图时出错:", error);
+            } else {
+                solutionOverlay.hide();
+                sendResponse({ success: true, visible: false, message: "答案覆盖层已关闭" });
+            }
+            break;
+
+        case 'hint':
+            // 查找下一个可推出的单元格
+            takeBoardSnapshot('提示');
+            sendResponse(getPuzzleHint());
+            break;
+
+        case 'export_text':
+            // 把当前拼图导出为文本
+            sendResponse(exportPuzzleText());
+            break;
+
+        case 'load_text':
+            // 从文本加载盘面
+            loadPuzzleText(message.text || '').then(sendResponse).catch(error => {
+                console.error("加载拼图文本时出错:", error);
                 sendResponse({
                     success: false,
-                    message: "求解过程中发生错误"
+                    message: "加载拼图文本时发生错误"
                 });
             });
+            break;
 
-            // 立即发送初始响应，异步结果会在Promise中处理
-            sendResponse({
-                success: true,
-                message: stepByStep ? "正在开始步骤演示..." : "正在开始即时求解..."
+        case 'verify':
+            // 检查盘面错误（异步，不点击任何单元格）
+            verifyBoard().then(sendResponse).catch(error => {
+                console.error("检查盘面时出错:", error);
+                sendResponse({
+                    success: false,
+                    message: "检查盘面时发生错误"
+                });
             });
             break;
 
         case 'next_step':
-            // 执行下一步
-            if (stepSolverState && stepSolverState.executeNextStep) {
-                stepSolverState.executeNextStep().then(result => {
-                    sendResponse(result);
-
-                    // 如果完成，清空状态
-                    if (result.completed) {
-                        stepSolverState = null;
-                    }
-                }).catch(error => {
-                    console.error("执行下一步时出错:", error);
+        case 'previous_step':
+        case 'goto_step':
+            // 步骤演示：前进、后退或跳到已经执行过的某一步（演示完成后仍可回看，直到重置或换了新拼图）
+            // 正在自动播放时先暂停
+            if (stepSolverState) {
+                const controller = stepSolverState;
+                controller.pause().then(() =>
+                    message.action === 'next_step' ? controller.executeNextStep() :
+                    message.action === 'previous_step' ? controller.previousStep() :
+                    controller.goToStep(message.step)
+                ).then(sendResponse).catch(error => {
+                    console.error("执行步骤时出错:", error);
                     sendResponse({
                         success: false,
-                        message: "执行下一步时发生错误",
+                        message: "执行步骤时发生错误",
                         completed: true
                     });
-                    stepSolverState = null;
+                    endStepSession();
                 });
             } else {
                 sendResponse({
@@ -498,16 +1782,96 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             }
             break;
 
+        case 'step_play':
+        case 'step_pause':
+        case 'step_stop':
+        case 'step_speed':
+            // 步骤演示的自动播放：播放、暂停、停止（回到演示开始之前）和调整每步间隔
+            if (stepSolverState) {
+                const controller = stepSolverState;
+                if (message.delayMs !== undefined) {
+                    controller.setSpeed(message.delayMs);
+                }
+
+                let action = Promise.resolve(null);
+                if (message.action === 'step_play') {
+                    playStepSession(controller);
+                } else if (message.action === 'step_pause') {
+                    action = controller.pause();
+                } else if (message.action === 'step_stop') {
+                    action = controller.stop();
+                }
+
+                action.then(result => {
+                    sendResponse({
+                        success: true,
+                        message: result ? result.message : null,
+                        ...controller.getProgress()
+                    });
+                }).catch(error => {
+                    console.error("控制自动播放时出错:", error);
+                    sendResponse({
+                        success: false,
+                        message: "控制自动播放时发生错误"
+                    });
+                });
+            } else {
+                sendResponse({
+                    success: false,
+                    message: "没有活动的步骤演示会话",
+                    completed: true
+                });
+            }
+            break;
+
+        case 'undo_solve':
+            // 撤销最近一次求解、提示或步骤演示对盘面的修改
+            undoSolve().then(sendResponse).catch(error => {
+                console.error("撤销求解时出错:", error);
+                sendResponse({
+                    success: false,
+                    message: "撤销求解时发生错误"
+                });
+            });
+            break;
+
         case 'reset':
-            // 重置扩展状态和拼图网格
-            resetExtensionState();
-            const gridResetSuccess = resetPuzzleGrid();
+            // 重置扩展状态和拼图网格：mode为'restore'时恢复玩家在扩展修改之前的进度，否则全部清空
+            if (message.mode === 'restore') {
+                resetExtensionState().then(restorePlayerProgress).then(result => {
+                    sendResponse({
+                        success: result !== null,
+                        message: result === null ? "没有可以恢复的进度（扩展还没有修改过这个拼图）" :
+                            result.failed.length === 0 ? `已恢复你的进度，修改了${result.changed}个单元格` :
+                            `已恢复你的进度，${result.failed.length}个单元格未能恢复`
+                    });
+                }).catch(error => {
+                    console.error("恢复进度时出错:", error);
+                    sendResponse({
+                        success: false,
+                        message: "恢复进度时发生错误"
+                    });
+                });
+                break;
+            }
 
-            sendResponse({
-                success: true,
-                message: gridResetSuccess ?
-                    "扩展状态和拼图网格已重置" :
-                    "扩展状态已重置，拼图网格重置可能失败"
+            // 全部清空之前记录快照，清空后仍然可以撤销
+            resetExtensionState().then(() => {
+                takeBoardSnapshot('重置');
+                return resetPuzzleGrid();
+            }).then(gridResetSuccess => {
+                sendResponse({
+                    success: true,
+                    message: gridResetSuccess ?
+                        "扩展状态和拼图网格已重置" :
+                        "扩展状态已重置，部分单元格未能重置"
+                });
+            }).catch(error => {
+                console.error("重置拼图网格时出错:", error);
+                sendResponse({
+                    success: false,
+                    message: "重置拼图网格时发生错误"
+                });
             });
             break;
 
@@ -558,15 +1922,29 @@ function notifyPageReady() {
     }
 }
 
+// 读取数字状态提示的设置
+async function loadClueAssistSetting() {
+    try {
+        const result = await chrome.storage.sync.get(['clueAssist']);
+        setClueAssist(result.clueAssist || false);
+    } catch (error) {
+        console.error("读取数字状态提示设置失败:", error);
+    }
+}
+
 // 如果页面已经加载完成，立即执行初始化
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
         debugLog("📄 页面加载完成，扩展已准备就绪");
         setRobotFlag(); // 立即设置机器人标识
         notifyPageReady(); // 通知后台脚本
+        liveBoard.start(); // 开始同步盘面
+        loadClueAssistSetting(); // 恢复数字状态提示
     });
 } else {
     debugLog("📄 页面已加载，扩展已准备就绪");
     setRobotFlag(); // 立即设置机器人标识
     notifyPageReady(); // 通知后台脚本
+    liveBoard.start(); // 开始同步盘面
+    loadClueAssistSetting(); // 恢复数字状态提示
 }
\ No newline at end of file
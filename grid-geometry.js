@@ -0,0 +1,183 @@
+/**
+ * 网格几何 - 根据单元格在页面上的位置推断行列
+ *
+ * 不假设固定的像素间距：把所有单元格的横坐标和纵坐标分别聚类，
+ * 从聚类中心推断行/列的间距和起点，再把每个单元格对应到行列上。
+ * 因此与浏览器缩放和拼图尺寸无关，对不上网格的单元格会被报告出来，而不是被算进错误的行。
+ *
+ * 与solver-core.js一样不依赖DOM：经典脚本中导出为全局对象 MosaicGridGeometry，
+ * 在Node中通过 require('./grid-geometry.js') 使用。读取单元格位置由content.js负责。
+ */
+(function (root, factory) {
+    const gridGeometry = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = gridGeometry;
+    } else {
+        root.MosaicGridGeometry = gridGeometry;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : self, function () {
+
+// 同一行/列的坐标差不超过估计间距的这个比例时视为同一组（容忍亚像素取整和边框误差）
+const CLUSTER_TOLERANCE = 0.25;
+// 相邻坐标的差不超过这个像素数时视为同一行/列内的误差，不参与估计间距
+const JITTER_PX = 1;
+// 单元格偏离网格线超过间距的这个比例时视为对不上网格
+const FIT_TOLERANCE = 0.3;
+
+// 工具函数：求中位数
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// 工具函数：估计一维坐标的间距：相邻坐标之差（忽略同一行/列内的误差）的下中位数。
+// 远离网格的零散单元格只贡献一两个很大的差，不会影响估计
+function estimatePitch(sorted) {
+    const gaps = [];
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i] - sorted[i - 1];
+        if (gap > JITTER_PX) gaps.push(gap);
+    }
+    if (gaps.length === 0) {
+        return 0;
+    }
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor((gaps.length - 1) / 2)];
+}
+
+// 工具函数：把一维坐标聚类，返回各组的 { center, size }（从小到大）
+function clusterCoordinates(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const threshold = Math.max(JITTER_PX, estimatePitch(sorted) * CLUSTER_TOLERANCE);
+
+    const clusters = [];
+    let current = [sorted[0]];
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i] - sorted[i - 1] > threshold) {
+            clusters.push(current);
+            current = [];
+        }
+        current.push(sorted[i]);
+    }
+    clusters.push(current);
+
+    return clusters.map(cluster => ({ center: median(cluster), size: cluster.length }));
+}
+
+// 工具函数：根据聚类中心推断一个方向上的网格线 { origin, pitch, count }
+// 单元格数明显少于其他组的组（零散的错位单元格）不参与推断；
+// 相邻中心的最小间隔作为基准，间隔是它的整数倍时（中间缺了整行/整列）按倍数折算
+function inferAxis(values) {
+    const clusters = clusterCoordinates(values);
+    const typicalSize = median(clusters.map(cluster => cluster.size));
+    const centers = clusters
+        .filter(cluster => cluster.size * 2 >= typicalSize)
+        .map(cluster => cluster.center);
+    const origin = centers[0];
+    if (centers.length === 1) {
+        return { origin: origin, pitch: null, count: 1 };
+    }
+
+    const gaps = [];
+    for (let i = 1; i < centers.length; i++) {
+        gaps.push(centers[i] - centers[i - 1]);
+    }
+    const base = Math.min(...gaps);
+    const steps = gaps.map(gap => Math.max(1, Math.round(gap / base)));
+    const pitch = gaps.reduce((sum, gap) => sum + gap, 0) / steps.reduce((sum, step) => sum + step, 0);
+    const count = Math.round((centers[centers.length - 1] - origin) / pitch) + 1;
+
+    return { origin: origin, pitch: pitch, count: count };
+}
+
+// 工具函数：把坐标对应到网格线的序号，对不上时返回null
+function fitToAxis(value, axis) {
+    if (axis.pitch === null) {
+        return 0;
+    }
+    const index = Math.round((value - axis.origin) / axis.pitch);
+    const offset = Math.abs(value - (axis.origin + index * axis.pitch));
+    if (index < 0 || index >= axis.count || offset > axis.pitch * FIT_TOLERANCE) {
+        return null;
+    }
+    return index;
+}
+
+/**
+ * 根据单元格位置推断网格
+ * positions: [{ x, y }]，单元格左上角（或中心）在同一坐标系中的位置，顺序任意
+ * 返回：
+ * - rows, cols: 网格尺寸
+ * - rowPitch, colPitch, originX, originY: 推断出的间距和起点（只有一行/一列时间距为null）
+ * - cells: 与positions一一对应的 { row, col }，对不上网格的单元格为null
+ * - misfits: 对不上网格的单元格下标
+ * - missing: 网格中没有单元格的位置 [{ row, col }]
+ * - duplicates: 有多个单元格的位置 [{ row, col, indices }]
+ * - complete: 网格是否完整且为矩形（没有上面三类问题）
+ */
+function detectGridGeometry(positions) {
+    if (positions.length === 0) {
+        return {
+            rows: 0, cols: 0, rowPitch: null, colPitch: null, originX: null, originY: null,
+            cells: [], misfits: [], missing: [], duplicates: [], complete: false
+        };
+    }
+
+    const rowAxis = inferAxis(positions.map(p => p.y));
+    const colAxis = inferAxis(positions.map(p => p.x));
+
+    const cells = [];
+    const misfits = [];
+    const occupants = new Map();
+
+    positions.forEach((p, index) => {
+        const row = fitToAxis(p.y, rowAxis);
+        const col = fitToAxis(p.x, colAxis);
+        if (row === null || col === null) {
+            cells.push(null);
+            misfits.push(index);
+            return;
+        }
+
+        cells.push({ row: row, col: col });
+        const key = row * colAxis.count + col;
+        if (!occupants.has(key)) {
+            occupants.set(key, []);
+        }
+        occupants.get(key).push(index);
+    });
+
+    const missing = [];
+    const duplicates = [];
+    for (let row = 0; row < rowAxis.count; row++) {
+        for (let col = 0; col < colAxis.count; col++) {
+            const indices = occupants.get(row * colAxis.count + col);
+            if (!indices) {
+                missing.push({ row: row, col: col });
+            } else if (indices.length > 1) {
+                duplicates.push({ row: row, col: col, indices: indices });
+            }
+        }
+    }
+
+    return {
+        rows: rowAxis.count,
+        cols: colAxis.count,
+        rowPitch: rowAxis.pitch,
+        colPitch: colAxis.pitch,
+        originX: colAxis.origin,
+        originY: rowAxis.origin,
+        cells: cells,
+        misfits: misfits,
+        missing: missing,
+        duplicates: duplicates,
+        complete: misfits.length === 0 && missing.length === 0 && duplicates.length === 0
+    };
+}
+
+return {
+    detectGridGeometry
+};
+
+});
@@ -0,0 +1,99 @@
+/**
+ * Options Script - 扩展设置页面的JavaScript逻辑
+ *
+ * 求解配置保存在chrome.storage.sync的solverOptions中，
+ * content script每次求解前读取，作为options传给求解算法（见DEFAULT_SOLVER_OPTIONS）
+ */
+
+const { DEFAULT_SOLVER_OPTIONS } = MosaicSolverCore;
+
+// 获取页面元素
+const maxTimeSeconds = document.getElementById('maxTimeSeconds');
+const maxNodes = document.getElementById('maxNodes');
+const maxDepth = document.getElementById('maxDepth');
+const engine = document.getElementById('engine');
+const valueOrder = document.getElementById('valueOrder');
+const saveBtn = document.getElementById('saveBtn');
+const restoreBtn = document.getElementById('restoreBtn');
+const statusDiv = document.getElementById('status');
+
+// 工具函数：显示状态消息
+function showStatus(message, type = 'success') {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+    statusDiv.style.display = 'block';
+
+    // 3秒后自动隐藏
+    setTimeout(() => {
+        statusDiv.style.display = 'none';
+    }, 3000);
+}
+
+// 工具函数：把配置显示到表单中
+function fillForm(options) {
+    maxTimeSeconds.value = Math.round(options.maxTimeMs / 1000);
+    maxNodes.value = options.maxNodes;
+    maxDepth.value = options.maxDepth;
+    engine.value = options.engine;
+    valueOrder.value = options.valueOrder;
+}
+
+// 工具函数：从表单读取配置，无效的数字返回null
+function readForm() {
+    const seconds = parseInt(maxTimeSeconds.value, 10);
+    const nodes = parseInt(maxNodes.value, 10);
+    const depth = parseInt(maxDepth.value, 10);
+    if (!(seconds > 0) || !(nodes > 0) || !(depth > 0)) {
+        return null;
+    }
+
+    return {
+        maxTimeMs: seconds * 1000,
+        maxNodes: nodes,
+        maxDepth: depth,
+        engine: engine.value,
+        valueOrder: valueOrder.value
+    };
+}
+
+// 加载保存的设置
+async function loadOptions() {
+    try {
+        const result = await chrome.storage.sync.get(['solverOptions']);
+        fillForm({ ...DEFAULT_SOLVER_OPTIONS, ...(result.solverOptions || {}) });
+    } catch (error) {
+        console.error('加载求解设置失败:', error);
+        fillForm(DEFAULT_SOLVER_OPTIONS);
+    }
+}
+
+// 保存设置按钮点击事件
+saveBtn.addEventListener('click', async () => {
+    const options = readForm();
+    if (!options) {
+        showStatus('请输入大于0的数字', 'error');
+        return;
+    }
+
+    try {
+        await chrome.storage.sync.set({ solverOptions: options });
+        showStatus('设置已保存，下次求解时生效');
+    } catch (error) {
+        console.error('保存求解设置失败:', error);
+        showStatus('保存设置失败', 'error');
+    }
+});
+
+// 恢复默认按钮点击事件
+restoreBtn.addEventListener('click', async () => {
+    try {
+        await chrome.storage.sync.remove('solverOptions');
+        fillForm(DEFAULT_SOLVER_OPTIONS);
+        showStatus('已恢复默认设置');
+    } catch (error) {
+        console.error('恢复默认设置失败:', error);
+        showStatus('恢复默认设置失败', 'error');
+    }
+});
+
+document.addEventListener('DOMContentLoaded', loadOptions);
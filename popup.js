@@ -22,15 +22,45 @@ function debugLog(...args) {
 // 获取页面元素
 const analyzeBtn = document.getElementById('analyzeBtn');
 const solveBtn = document.getElementById('solveBtn');
+const stopBtn = document.getElementById('stopBtn');
+const hintBtn = document.getElementById('hintBtn');
+const verifyBtn = document.getElementById('verifyBtn');
 const nextStepBtn = document.getElementById('nextStepBtn');
+const prevStepBtn = document.getElementById('prevStepBtn');
+const stepControlsPanel = document.getElementById('stepControlsPanel');
+const stepSlider = document.getElementById('stepSlider');
+const stepPosition = document.getElementById('stepPosition');
+const playStepBtn = document.getElementById('playStepBtn');
+const stopStepBtn = document.getElementById('stopStepBtn');
+const stepSpeed = document.getElementById('stepSpeed');
+const copyTextBtn = document.getElementById('copyTextBtn');
+const loadTextBtn = document.getElementById('loadTextBtn');
+const applyTextBtn = document.getElementById('applyTextBtn');
+const textPanel = document.getElementById('textPanel');
+const puzzleTextInput = document.getElementById('puzzleTextInput');
 const resetBtn = document.getElementById('resetBtn');
+const resetPanel = document.getElementById('resetPanel');
+const restoreProgressBtn = document.getElementById('restoreProgressBtn');
+const clearAllBtn = document.getElementById('clearAllBtn');
+const undoBtn = document.getElementById('undoBtn');
+const optionsBtn = document.getElementById('optionsBtn');
 const stepByStepMode = document.getElementById('stepByStepMode');
+const applyPartialOnStop = document.getElementById('applyPartialOnStop');
+const continueFromBoard = document.getElementById('continueFromBoard');
+const markBlanks = document.getElementById('markBlanks');
+const showOverlay = document.getElementById('showOverlay');
+const clueAssist = document.getElementById('clueAssist');
 const statusDiv = document.getElementById('status');
 const stepInfo = document.getElementById('stepInfo');
 const stepText = document.getElementById('stepText');
 const progressContainer = document.getElementById('progressContainer');
 const progressBar = document.getElementById('progressBar');
 const progressText = document.getElementById('progressText');
+const solveStats = document.getElementById('solveStats');
+const boardInfo = document.getElementById('boardInfo');
+
+// 当前正在进行的即时求解任务id（用于停止求解）
+let currentSolveJobId = null;
 
 // 工具函数：显示状态消息
 function showStatus(message, type = 'info') {
@@ -55,6 +85,65 @@ function hideStepInfo() {
     stepInfo.style.display = 'none';
 }
 
+// 全局变量：是否有步骤移动正在网页上执行（执行完之前不发送新的移动）
+let stepMoveInFlight = false;
+
+// 工具函数：显示步骤演示控制，progress为 { step, total, completed, playing }
+function showStepControls(progress) {
+    stepControlsPanel.style.display = 'block';
+    stepSlider.max = progress.total;
+    stepSlider.value = progress.step;
+    stepPosition.textContent = `${progress.step} / ${progress.total}`;
+    prevStepBtn.disabled = progress.step === 0;
+    nextStepBtn.disabled = progress.completed;
+    playStepBtn.textContent = progress.playing ? '⏸ 暂停' : '▶️ 播放';
+    playStepBtn.disabled = progress.completed && !progress.playing;
+    stopStepBtn.disabled = progress.step === 0 && !progress.playing;
+}
+
+// 工具函数：演示到最后一步时显示结果（求解完成、无解或达到求解限制）并恢复求解按钮
+function showStepResult(response) {
+    if (!response.completed) return;
+
+    solveBtn.disabled = false;
+    solveBtn.textContent = '🧠 求解拼图';
+    const solved = !response.event || response.event.type === 'solved';
+    showStatus(response.event ? response.event.reason : '步骤演示完成！', solved ? 'success' : 'error');
+}
+
+// 工具函数：隐藏步骤演示控制
+function hideStepControls() {
+    stepControlsPanel.style.display = 'none';
+}
+
+// 工具函数：执行一次步骤移动（下一步、上一步或跳转），返回content script的响应
+async function runStepMove(message) {
+    if (stepMoveInFlight) return null;
+    stepMoveInFlight = true;
+    prevStepBtn.disabled = true;
+    nextStepBtn.disabled = true;
+    stepSlider.disabled = true;
+
+    let response = null;
+    try {
+        response = await sendMessageToContentScript(message);
+        if (response && response.success) {
+            showStepInfo(response.message);
+        }
+        return response;
+    } finally {
+        // 响应中带有进度时按进度更新控制，否则（出错或会话已结束）恢复按钮
+        if (response && response.total !== undefined) {
+            showStepControls(response);
+        } else {
+            prevStepBtn.disabled = false;
+            nextStepBtn.disabled = false;
+        }
+        stepSlider.disabled = false;
+        stepMoveInFlight = false;
+    }
+}
+
 // 工具函数：显示进度
 function showProgress(percentage, resolvedCells, totalCells) {
     progressContainer.style.display = 'block';
@@ -70,6 +159,73 @@ function hideProgress() {
     progressBar.textContent = '0%';
 }
 
+// 安全限制停止原因的显示名称
+const STOP_REASON_LABELS = {
+    timeout: '超时',
+    iterations: '节点数',
+    depth: '递归深度'
+};
+
+// 工具函数：把求解统计整理成几行摘要，并给出难度判断
+function formatSolveStats(stats) {
+    const seconds = (stats.wallTimeMs / 1000).toFixed(2);
+    const timeUsage = Math.round(stats.wallTimeMs / stats.limits.maxTimeMs * 100);
+    const nodeUsage = Math.round(stats.nodes / stats.limits.maxNodes * 100);
+
+    let verdict;
+    if (stats.stopReason === 'cancelled') {
+        verdict = '⏹ 求解被停止，未能完成';
+    } else if (stats.stopReason) {
+        verdict = `⛔ 达到求解限制（${STOP_REASON_LABELS[stats.stopReason] || stats.stopReason}），未能完成`;
+    } else if (stats.cellsByBranching === 0) {
+        verdict = '🟢 简单：只靠逻辑推理即可解出';
+    } else if (Math.max(timeUsage, nodeUsage) >= 50) {
+        verdict = '🔴 困难：接近求解预算';
+    } else {
+        verdict = '🟡 中等：需要少量猜测';
+    }
+
+    return [
+        verdict,
+        `⏱ 用时 ${seconds}秒（预算的${timeUsage}%）`,
+        `🔢 节点 ${stats.nodes}（预算的${nodeUsage}%），回溯 ${stats.backtracks}，最大深度 ${stats.maxDepth}`,
+        `🔧 约束检查 ${stats.revisions}次，传播 ${stats.propagationRounds}轮`,
+        `📐 传播确定 ${stats.cellsByPropagation}格，分支确定 ${stats.cellsByBranching}格` +
+            (stats.givenCells > 0 ? `，已知 ${stats.givenCells}格` : '')
+    ].join('\n');
+}
+
+// 工具函数：显示求解统计
+function showSolveStats(stats) {
+    solveStats.textContent = formatSolveStats(stats);
+    solveStats.style.display = 'block';
+}
+
+// 工具函数：隐藏求解统计
+function hideSolveStats() {
+    solveStats.style.display = 'none';
+}
+
+// 工具函数：显示实时盘面摘要
+function showBoardSummary(summary) {
+    if (!summary || summary.rows === 0) {
+        boardInfo.style.display = 'none';
+        return;
+    }
+    boardInfo.textContent = `📋 ${summary.cols}x${summary.rows}：已填充 ${summary.filled}，已标记 ${summary.marked}，未确定 ${summary.empty}`;
+    boardInfo.style.display = 'block';
+}
+
+// 工具函数：求解任务结束后恢复界面
+function finishSolveUI() {
+    currentSolveJobId = null;
+    stopBtn.style.display = 'none';
+    stopBtn.disabled = false;
+    hideProgress();
+    solveBtn.disabled = false;
+    solveBtn.textContent = '🧠 求解拼图';
+}
+
 // 工具函数：向当前标签页的content script发送消息
 async function sendMessageToContentScript(message) {
     try {
@@ -137,6 +293,7 @@ solveBtn.addEventListener('click', async () => {
     solveBtn.textContent = isStepByStep ? '🎬 演示中...' : '🧠 求解中...';
 
     // 显示进度条（仅在一次性求解模式下）
+    hideSolveStats();
     if (!isStepByStep) {
         showProgress(0, 0, 100);
     }
@@ -145,7 +302,9 @@ solveBtn.addEventListener('click', async () => {
         // 向content script发送求解请求
         const response = await sendMessageToContentScript({
             action: 'solve_puzzle',
-            stepByStep: isStepByStep
+            stepByStep: isStepByStep,
+            useBoard: continueFromBoard.checked,
+            markBlanks: markBlanks.checked
         });
 
         if (response && response.success) {
@@ -154,12 +313,15 @@ solveBtn.addEventListener('click', async () => {
             // 如果是步骤演示模式，显示下一步按钮和步骤信息
             if (isStepByStep) {
                 hideProgress();
-                nextStepBtn.style.display = 'block';
+                showStepControls({ step: 0, total: 0, completed: false });
                 solveBtn.textContent = '🎬 演示中...';
                 showStepInfo('算法已准备就绪，点击"下一步"开始');
             } else {
+                // 即时求解在后台进行，显示停止按钮，完成后由solve_finished消息恢复界面
                 hideStepInfo();
-                hideProgress();
+                currentSolveJobId = response.jobId;
+                stopBtn.style.display = 'block';
+                return;
             }
         } else {
             showStatus('求解失败', 'error');
@@ -170,39 +332,194 @@ solveBtn.addEventListener('click', async () => {
         console.error('求解拼图时出错:', error);
         showStatus('求解时发生错误', 'error');
         hideProgress();
+    }
+
+    // 步骤演示或失败时按原来的方式延时恢复按钮
+    const restoreTime = isStepByStep ? 5000 : 3000;
+    setTimeout(() => {
+        solveBtn.disabled = false;
+        solveBtn.textContent = '🧠 求解拼图';
+    }, restoreTime);
+});
+
+// 停止求解按钮点击事件
+stopBtn.addEventListener('click', async () => {
+    debugLog('⏹ 用户点击了停止求解按钮');
+
+    if (currentSolveJobId === null) {
+        finishSolveUI();
+        return;
+    }
+
+    stopBtn.disabled = true;
+
+    try {
+        const response = await sendMessageToContentScript({
+            action: 'cancel_solve',
+            jobId: currentSolveJobId,
+            applyPartial: applyPartialOnStop.checked
+        });
+
+        if (response && response.success) {
+            showStatus(response.message, 'info');
+        } else {
+            // 任务已经结束（或页面已刷新），直接恢复界面
+            finishSolveUI();
+        }
+
+    } catch (error) {
+        console.error('停止求解时出错:', error);
+        showStatus('停止求解时发生错误', 'error');
+        stopBtn.disabled = false;
+    }
+});
+
+// 提示按钮点击事件
+hintBtn.addEventListener('click', async () => {
+    debugLog('💡 用户点击了提示按钮');
+
+    hintBtn.disabled = true;
+
+    try {
+        const response = await sendMessageToContentScript({
+            action: 'hint'
+        });
+
+        if (response && response.success) {
+            // 推理说明较长，显示在步骤信息区域而不是会自动隐藏的状态栏
+            showStepInfo(response.message);
+            if (response.contradiction) {
+                showStatus('当前盘面存在错误', 'error');
+            }
+        } else {
+            showStatus('获取提示失败', 'error');
+        }
+
+    } catch (error) {
+        console.error('获取提示时出错:', error);
+        showStatus('获取提示时发生错误', 'error');
 
     } finally {
-        // 根据模式设置恢复时间
-        const restoreTime = isStepByStep ? 5000 : 3000;
-        setTimeout(() => {
-            solveBtn.disabled = false;
-            solveBtn.textContent = '🧠 求解拼图';
-        }, restoreTime);
+        hintBtn.disabled = false;
     }
 });
 
-// 下一步按钮点击事件
-nextStepBtn.addEventListener('click', async () => {
-    debugLog('👉 用户点击了下一步按钮');
+// 检查盘面按钮点击事件
+verifyBtn.addEventListener('click', async () => {
+    debugLog('✅ 用户点击了检查盘面按钮');
+
+    verifyBtn.disabled = true;
+    verifyBtn.textContent = '🔄 检查中...';
 
     try {
-        // 向content script发送下一步请求
         const response = await sendMessageToContentScript({
-            action: 'next_step'
+            action: 'verify'
         });
 
         if (response && response.success) {
-            // 在步骤信息区域显示迭代信息，而不是在status中
             showStepInfo(response.message);
+            showStatus(response.hasErrors ? '盘面存在错误' : '盘面正确', response.hasErrors ? 'error' : 'success');
+        } else {
+            showStatus(response ? response.message : '检查失败', 'error');
+        }
 
-            // 如果算法完成，隐藏下一步按钮和步骤信息
-            if (response.completed) {
-                nextStepBtn.style.display = 'none';
-                hideStepInfo();
-                solveBtn.disabled = false;
-                solveBtn.textContent = '🧠 求解拼图';
-                showStatus('步骤演示完成！', 'success');
-            }
+    } catch (error) {
+        console.error('检查盘面时出错:', error);
+        showStatus('检查盘面时发生错误', 'error');
+
+    } finally {
+        verifyBtn.disabled = false;
+        verifyBtn.textContent = '✅ 检查盘面';
+    }
+});
+
+// 复制为文本按钮点击事件：把网页上的拼图导出为文本并复制到剪贴板
+copyTextBtn.addEventListener('click', async () => {
+    debugLog('📋 用户点击了复制为文本按钮');
+
+    try {
+        const response = await sendMessageToContentScript({
+            action: 'export_text'
+        });
+
+        if (!response || !response.success) {
+            showStatus(response ? response.message : '导出失败', 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(response.text);
+            showStatus('拼图文本已复制到剪贴板', 'success');
+        } catch (error) {
+            // 剪贴板不可用时显示在文本框中，方便手动复制
+            console.warn('写入剪贴板失败:', error);
+            textPanel.style.display = 'block';
+            puzzleTextInput.value = response.text;
+            puzzleTextInput.select();
+            showStatus('无法写入剪贴板，请手动复制文本框中的内容', 'warning');
+        }
+
+    } catch (error) {
+        console.error('导出拼图文本时出错:', error);
+        showStatus('导出拼图文本时发生错误', 'error');
+    }
+});
+
+// 从文本加载按钮点击事件：显示/隐藏粘贴文本框
+loadTextBtn.addEventListener('click', () => {
+    const visible = textPanel.style.display !== 'none';
+    textPanel.style.display = visible ? 'none' : 'block';
+    if (!visible) {
+        puzzleTextInput.focus();
+    }
+});
+
+// 应用到网页按钮点击事件：把粘贴的拼图文本加载到网页盘面
+applyTextBtn.addEventListener('click', async () => {
+    debugLog('📥 用户点击了应用拼图文本按钮');
+
+    const text = puzzleTextInput.value;
+    if (text.trim() === '') {
+        showStatus('请先粘贴拼图文本', 'warning');
+        return;
+    }
+
+    applyTextBtn.disabled = true;
+
+    try {
+        const response = await sendMessageToContentScript({
+            action: 'load_text',
+            text: text
+        });
+
+        if (response && response.success) {
+            showStatus(response.message, 'success');
+            textPanel.style.display = 'none';
+        } else {
+            showStatus(response ? response.message : '加载失败', 'error');
+        }
+
+    } catch (error) {
+        console.error('加载拼图文本时出错:', error);
+        showStatus('加载拼图文本时发生错误', 'error');
+
+    } finally {
+        applyTextBtn.disabled = false;
+    }
+});
+
+// 下一步按钮点击事件
+nextStepBtn.addEventListener('click', async () => {
+    debugLog('👉 用户点击了下一步按钮');
+
+    try {
+        // 向content script发送下一步请求
+        const response = await runStepMove({ action: 'next_step' });
+        if (!response) return;
+
+        if (response.success) {
+            // 步骤控制保留，演示完成后仍然可以后退回看
+            showStepResult(response);
         } else {
             showStatus('下一步失败', 'error');
             showStepInfo('执行失败，请重试');
@@ -214,42 +531,209 @@ nextStepBtn.addEventListener('click', async () => {
     }
 });
 
-// 重置按钮点击事件
-resetBtn.addEventListener('click', async () => {
-    debugLog('🔄 用户点击了重置按钮');
+// 上一步按钮点击事件：网页上的单元格恢复到上一步之后的状态
+prevStepBtn.addEventListener('click', async () => {
+    debugLog('👈 用户点击了上一步按钮');
 
     try {
-        // 向content script发送重置请求
+        const response = await runStepMove({ action: 'previous_step' });
+        if (response && !response.success) {
+            showStatus(response.message, 'error');
+        }
+    } catch (error) {
+        console.error('上一步时出错:', error);
+        showStatus('上一步时发生错误', 'error');
+    }
+});
+
+// 播放/暂停按钮点击事件：自动播放在网页中进行，关闭popup后也会继续
+playStepBtn.addEventListener('click', async () => {
+    const playing = playStepBtn.textContent === '⏸ 暂停';
+    debugLog(`${playing ? '⏸️' : '▶️'} 用户点击了${playing ? '暂停' : '播放'}按钮`);
+
+    try {
+        playStepBtn.disabled = true;
         const response = await sendMessageToContentScript({
-            action: 'reset'
+            action: playing ? 'step_pause' : 'step_play',
+            delayMs: parseInt(stepSpeed.value, 10)
         });
+        if (response && response.success) {
+            showStepControls(response);
+        } else {
+            playStepBtn.disabled = false;
+            showStatus(response ? response.message : '无法控制自动播放', 'error');
+        }
+    } catch (error) {
+        playStepBtn.disabled = false;
+        console.error('控制自动播放时出错:', error);
+        showStatus('控制自动播放时发生错误', 'error');
+    }
+});
+
+// 停止按钮点击事件：停止自动播放并回到演示开始之前
+stopStepBtn.addEventListener('click', async () => {
+    debugLog('⏹ 用户点击了停止演示按钮');
 
+    try {
+        const response = await sendMessageToContentScript({ action: 'step_stop' });
         if (response && response.success) {
-            showStatus('扩展已重置', 'success');
+            showStepControls(response);
+            showStepInfo(response.message || '已回到演示开始之前');
+        } else {
+            showStatus(response ? response.message : '停止演示失败', 'error');
+        }
+    } catch (error) {
+        console.error('停止演示时出错:', error);
+        showStatus('停止演示时发生错误', 'error');
+    }
+});
 
-            // 重置UI状态
-            nextStepBtn.style.display = 'none';
-            hideStepInfo();
-            hideProgress();
-            solveBtn.disabled = false;
-            solveBtn.textContent = '🧠 求解拼图';
+// 播放速度：保存设置，正在播放时从下一步开始生效
+stepSpeed.addEventListener('change', () => {
+    debugLog(`🔄 设置已更改: 播放速度 = ${stepSpeed.value}ms/步`);
+    saveSettings();
+    if (stepControlsPanel.style.display !== 'none') {
+        sendMessageToContentScript({
+            action: 'step_speed',
+            delayMs: parseInt(stepSpeed.value, 10)
+        }).catch(() => {});
+    }
+});
+
+// 时间轴：拖动时只更新步数，松开后跳到该步
+stepSlider.addEventListener('input', () => {
+    stepPosition.textContent = `${stepSlider.value} / ${stepSlider.max}`;
+});
+
+stepSlider.addEventListener('change', async () => {
+    const step = parseInt(stepSlider.value, 10);
+    debugLog(`⏩ 用户跳到步骤 ${step}`);
+
+    try {
+        const response = await runStepMove({ action: 'goto_step', step: step });
+        if (response && !response.success) {
+            showStatus(response.message, 'error');
+        }
+    } catch (error) {
+        console.error('跳转步骤时出错:', error);
+        showStatus('跳转步骤时发生错误', 'error');
+    }
+});
+
+// 重置按钮点击事件：选择恢复自己的进度还是全部清空
+resetBtn.addEventListener('click', () => {
+    resetPanel.style.display = resetPanel.style.display !== 'none' ? 'none' : 'flex';
+});
+
+// 工具函数：重置扩展和拼图网格，mode为'restore'（恢复我的进度）或'clear'（全部清空）
+async function resetPuzzle(mode) {
+    debugLog(`🔄 用户选择了重置方式: ${mode}`);
+    resetPanel.style.display = 'none';
+
+    try {
+        // 向content script发送重置请求
+        const response = await sendMessageToContentScript({
+            action: 'reset',
+            mode: mode
+        });
+
+        // 扩展状态在content script中总是会被重置，这里同步恢复UI状态
+        hideStepControls();
+        hideStepInfo();
+        hideSolveStats();
+        finishSolveUI();
+        showOverlay.checked = false;
+
+        if (response && response.success) {
+            showStatus(response.message, 'success');
         } else {
-            showStatus('重置失败', 'error');
+            showStatus(response ? response.message : '重置失败', 'error');
         }
 
     } catch (error) {
         console.error('重置时出错:', error);
         showStatus('重置时发生错误', 'error');
     }
+}
+
+restoreProgressBtn.addEventListener('click', () => resetPuzzle('restore'));
+clearAllBtn.addEventListener('click', () => resetPuzzle('clear'));
+
+// 撤销求解按钮点击事件：网页上的单元格恢复到最近一次求解、提示或步骤演示之前的状态
+undoBtn.addEventListener('click', async () => {
+    debugLog('↩️ 用户点击了撤销求解按钮');
+
+    undoBtn.disabled = true;
+    try {
+        const response = await sendMessageToContentScript({
+            action: 'undo_solve'
+        });
+
+        // 正在进行的求解和步骤演示在撤销前已经停止
+        hideStepControls();
+        hideStepInfo();
+        finishSolveUI();
+
+        if (response && response.success) {
+            showStatus(response.message, 'success');
+        } else {
+            showStatus(response ? response.message : '撤销失败', 'error');
+        }
+
+    } catch (error) {
+        console.error('撤销求解时出错:', error);
+        showStatus('撤销求解时发生错误', 'error');
+    } finally {
+        undoBtn.disabled = false;
+    }
+});
+
+// 答案覆盖层开关：只在网页上叠加显示答案，不保存为设置
+showOverlay.addEventListener('change', async () => {
+    const visible = showOverlay.checked;
+    showOverlay.disabled = true;
+    if (visible) {
+        showStatus('正在计算答案...', 'info');
+    }
+
+    try {
+        const response = await sendMessageToContentScript({
+            action: 'overlay',
+            visible: visible
+        });
+
+        if (response) {
+            showOverlay.checked = response.visible;
+            showStatus(response.message, response.success ? 'success' : 'error');
+        } else {
+            showOverlay.checked = false;
+        }
+    } catch (error) {
+        console.error('切换答案覆盖层失败:', error);
+        showStatus('切换答案覆盖层失败', 'error');
+        showOverlay.checked = false;
+    } finally {
+        showOverlay.disabled = false;
+    }
+});
+
+// 求解设置按钮点击事件：打开扩展的设置页面
+optionsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
 });
 
 // 加载保存的设置
 async function loadSettings() {
     try {
-        const result = await chrome.storage.sync.get(['stepByStepMode']);
+        const result = await chrome.storage.sync.get(['stepByStepMode', 'applyPartialOnStop', 'continueFromBoard', 'markBlanks', 'clueAssist', 'stepDelayMs']);
         const savedMode = result.stepByStepMode || false; // 默认为即时求解模式
         stepByStepMode.checked = savedMode;
-        debugLog(`📂 加载设置: 步骤演示模式 = ${savedMode}`);
+        applyPartialOnStop.checked = result.applyPartialOnStop || false; // 默认丢弃部分解
+        continueFromBoard.checked = result.continueFromBoard || false; // 默认忽略玩家盘面
+        markBlanks.checked = result.markBlanks || false; // 默认只填充，不标记空白单元格
+        clueAssist.checked = result.clueAssist || false; // 默认不给网页上的数字着色
+        stepSpeed.value = String(result.stepDelayMs !== undefined ? result.stepDelayMs : 1000); // 默认每步1秒
+        debugLog(`📂 加载设置: 步骤演示模式 = ${savedMode}, 停止时应用部分解 = ${applyPartialOnStop.checked}`);
     } catch (error) {
         console.error('加载设置失败:', error);
     }
@@ -259,9 +743,14 @@ async function loadSettings() {
 async function saveSettings() {
     try {
         await chrome.storage.sync.set({
-            stepByStepMode: stepByStepMode.checked
+            stepByStepMode: stepByStepMode.checked,
+            applyPartialOnStop: applyPartialOnStop.checked,
+            continueFromBoard: continueFromBoard.checked,
+            markBlanks: markBlanks.checked,
+            clueAssist: clueAssist.checked,
+            stepDelayMs: parseInt(stepSpeed.value, 10)
         });
-        debugLog(`💾 保存设置: 步骤演示模式 = ${stepByStepMode.checked}`);
+        debugLog(`💾 保存设置: 步骤演示模式 = ${stepByStepMode.checked}, 停止时应用部分解 = ${applyPartialOnStop.checked}`);
     } catch (error) {
         console.error('保存设置失败:', error);
     }
@@ -272,9 +761,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'progress_update') {
         showProgress(message.percentage, message.resolvedCells, message.totalCells);
         sendResponse({success: true});
-    } else if (message.action === 'solver_timeout') {
+    } else if (message.action === 'solve_finished') {
+        if (message.jobId === currentSolveJobId) {
+            finishSolveUI();
+            const type = message.status === 'completed' ? 'success' :
+                message.status === 'cancelled' || message.status === 'stopped' ? 'warning' : 'error';
+            showStatus(message.message, type);
+            if (message.stats) {
+                showSolveStats(message.stats);
+            }
+        }
+        sendResponse({success: true});
+    } else if (message.action === 'step_progress') {
+        // 自动播放的进度（每一步之后，以及播放结束时）
+        const result = message.result;
+        if (result.success && result.message) {
+            showStepInfo(result.message);
+        } else if (!result.success) {
+            showStatus(result.message, 'error');
+        }
+        showStepControls(result);
+        if (result.event) {
+            showStepResult(result);
+        }
+        sendResponse({success: true});
+    } else if (message.action === 'board_changed') {
+        showBoardSummary(message.summary);
+        sendResponse({success: true});
+    } else if (message.action === 'puzzle_changed') {
+        // 旧拼图的演示和求解在content script中已经停止，这里恢复界面
+        hideStepControls();
+        hideStepInfo();
+        hideSolveStats();
+        finishSolveUI();
+        showOverlay.checked = false;
         showStatus(message.message, 'warning');
-        hideProgress();
         sendResponse({success: true});
     }
 });
@@ -292,11 +813,47 @@ document.addEventListener('DOMContentLoaded', async () => {
         saveSettings(); // 立即保存设置
     });
 
+    applyPartialOnStop.addEventListener('change', () => {
+        debugLog(`🔄 设置已更改: 停止时应用部分解 = ${applyPartialOnStop.checked}`);
+        saveSettings();
+    });
+
+    continueFromBoard.addEventListener('change', () => {
+        debugLog(`🔄 设置已更改: 从当前盘面继续 = ${continueFromBoard.checked}`);
+        saveSettings();
+    });
+
+    markBlanks.addEventListener('change', () => {
+        debugLog(`🔄 设置已更改: 标记空白单元格 = ${markBlanks.checked}`);
+        saveSettings();
+    });
+
+    // content script监听设置变化，保存后网页上的数字立即更新
+    clueAssist.addEventListener('change', () => {
+        debugLog(`🔄 设置已更改: 数字状态提示 = ${clueAssist.checked}`);
+        saveSettings();
+    });
+
     // 检查当前是否在目标网站
     chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
         const currentTab = tabs[0];
         if (currentTab.url.includes('puzzle-minesweeper.com')) {
             showStatus('已连接到马赛克拼图网站', 'success');
+
+            // 显示当前盘面摘要，之后由content script推送更新
+            chrome.tabs.sendMessage(currentTab.id, { action: 'board_state' }).then(response => {
+                if (response && response.success) {
+                    showBoardSummary(response.summary);
+                    showOverlay.checked = response.overlayVisible;
+                    // 重新打开popup时恢复进行中的步骤演示
+                    if (response.stepProgress) {
+                        showStepControls(response.stepProgress);
+                        showStepInfo(`步骤演示进行中（第${response.stepProgress.step}步）`);
+                    }
+                }
+            }).catch(() => {
+                // content script尚未加载时忽略
+            });
         } else {
             showStatus('请打开马赛克拼图网站', 'info');
         }
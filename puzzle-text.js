@@ -0,0 +1,190 @@
+/**
+ * 马赛克拼图文本格式 - 解析与生成
+ *
+ * 用于在聊天中分享盘面、粘贴到问题报告中，或交给命令行求解器离线求解。
+ * 与solver-core.js一样不依赖DOM：经典脚本中导出为全局对象 MosaicPuzzleText，
+ * 在Node中通过 require('./puzzle-text.js') 使用。
+ *
+ * 格式说明：
+ *
+ *   // 马赛克拼图 3x3          ← 以//开头的行是注释，空行会被忽略
+ *   [clues]                    ← 提示数字（必需）：0-9为数字，. 为没有数字
+ *   2 . 1
+ *   . 4 .
+ *   2 . 2
+ *   [state]                    ← 已知的单元格状态（可选）：# 填充，x 空白，. 未知
+ *   # . .
+ *   . . x
+ *   . . .
+ *   [solution]                 ← 解（可选）：# 填充，x 空白，不能有未知单元格
+ *   # x x
+ *   x # x
+ *   # x #
+ *
+ * - 单元格之间可以用空格分隔，也可以紧挨着写（例如 "1.2"）
+ * - 没有任何[节]标题时，整段文本都按[clues]处理，因此一个普通的数字网格也是合法的输入
+ * - 所有节的行数和列数必须与[clues]相同
+ */
+(function (root, factory) {
+    const puzzleText = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = puzzleText;
+    } else {
+        root.MosaicPuzzleText = puzzleText;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : self, function () {
+
+// 单元格状态的文本符号（状态值与求解器一致：1填充，0空白，-1未知）
+const CELL_SYMBOLS = { 1: '#', 0: 'x', [-1]: '.' };
+const NO_CLUE_SYMBOL = '.';
+const SECTION_NAMES = ['clues', 'state', 'solution'];
+
+// 文本格式错误，line为出错的行号（从1开始，无法确定时为null）
+class PuzzleTextError extends Error {
+    constructor(message, line = null) {
+        super(line ? `第${line}行: ${message}` : message);
+        this.name = 'PuzzleTextError';
+        this.line = line;
+    }
+}
+
+// 工具函数：把一行拆成单元格符号
+function splitCells(line) {
+    return /\s/.test(line) ? line.split(/\s+/) : line.split('');
+}
+
+// 工具函数：解析一个单元格状态符号
+function parseCellSymbol(symbol, allowUnknown, lineNumber) {
+    if (symbol === '#') return 1;
+    if (symbol === 'x' || symbol === 'X') return 0;
+    if (symbol === '.' && allowUnknown) return -1;
+    throw new PuzzleTextError(`无法识别的单元格状态 "${symbol}"`, lineNumber);
+}
+
+/**
+ * 解析拼图文本
+ * 返回 { clues, state, solution }：
+ * - clues: 2D数组，数字为提示，null为没有数字
+ * - state: 2D数组（1填充/0空白/-1未知），没有[state]节时为null
+ * - solution: 2D数组（1填充/0空白），没有[solution]节时为null
+ * 格式错误时抛出PuzzleTextError
+ */
+function parsePuzzleText(text) {
+    const sections = {};
+    let current = null;
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('//')) return;
+
+        const header = line.match(/^\[(\w+)\]$/);
+        if (header) {
+            const name = header[1].toLowerCase();
+            if (!SECTION_NAMES.includes(name)) {
+                throw new PuzzleTextError(`未知的节 [${header[1]}]`, lineNumber);
+            }
+            if (sections[name]) {
+                throw new PuzzleTextError(`[${name}]节重复出现`, lineNumber);
+            }
+            current = name;
+            sections[name] = [];
+            return;
+        }
+
+        // 没有标题的内容属于[clues]
+        if (!current) {
+            current = 'clues';
+            sections.clues = [];
+        }
+        sections[current].push({ cells: splitCells(line), lineNumber: lineNumber });
+    });
+
+    if (!sections.clues || sections.clues.length === 0) {
+        throw new PuzzleTextError("缺少提示数字（[clues]节）");
+    }
+
+    const clues = sections.clues.map(({ cells, lineNumber }) => cells.map(symbol => {
+        if (symbol === NO_CLUE_SYMBOL) return null;
+        if (/^\d$/.test(symbol)) return parseInt(symbol, 10);
+        throw new PuzzleTextError(`无法识别的提示 "${symbol}"`, lineNumber);
+    }));
+
+    const rows = clues.length;
+    const cols = clues[0].length;
+
+    const checkShape = (name) => {
+        const sectionRows = sections[name];
+        if (sectionRows.length !== rows) {
+            const lineNumber = sectionRows.length > 0 ? sectionRows[sectionRows.length - 1].lineNumber : null;
+            throw new PuzzleTextError(`[${name}]节有${sectionRows.length}行，应为${rows}行`, lineNumber);
+        }
+        sectionRows.forEach(({ cells, lineNumber }) => {
+            if (cells.length !== cols) {
+                throw new PuzzleTextError(`[${name}]节的这一行有${cells.length}个单元格，应为${cols}个`, lineNumber);
+            }
+        });
+    };
+
+    checkShape('clues');
+
+    let state = null;
+    if (sections.state) {
+        checkShape('state');
+        state = sections.state.map(({ cells, lineNumber }) =>
+            cells.map(symbol => parseCellSymbol(symbol, true, lineNumber)));
+    }
+
+    let solution = null;
+    if (sections.solution) {
+        checkShape('solution');
+        solution = sections.solution.map(({ cells, lineNumber }) =>
+            cells.map(symbol => parseCellSymbol(symbol, false, lineNumber)));
+    }
+
+    return { clues: clues, state: state, solution: solution };
+}
+
+/**
+ * 生成拼图文本
+ * puzzle为 { clues, state, solution }，state和solution可以省略或为null；
+ * state中全部未知时不输出[state]节。options.title为开头的注释（可选）
+ */
+function serializePuzzleText(puzzle, options = {}) {
+    const { clues, state = null, solution = null } = puzzle;
+    const rows = clues.length;
+    const cols = rows > 0 ? clues[0].length : 0;
+    const lines = [];
+
+    lines.push(`// ${options.title || '马赛克拼图'} ${cols}x${rows}`);
+
+    lines.push('[clues]');
+    clues.forEach(row => {
+        lines.push(row.map(cell => cell === null ? NO_CLUE_SYMBOL : String(cell)).join(' '));
+    });
+
+    if (state && state.some(row => row.some(cell => cell !== -1))) {
+        lines.push('[state]');
+        state.forEach(row => {
+            lines.push(row.map(cell => CELL_SYMBOLS[cell]).join(' '));
+        });
+    }
+
+    if (solution) {
+        lines.push('[solution]');
+        solution.forEach(row => {
+            lines.push(row.map(cell => CELL_SYMBOLS[cell === 1 ? 1 : 0]).join(' '));
+        });
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+return {
+    CELL_SYMBOLS,
+    PuzzleTextError,
+    parsePuzzleText,
+    serializePuzzleText
+};
+
+});
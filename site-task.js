@@ -0,0 +1,166 @@
+/**
+ * 网站任务数据 - 解析puzzle-minesweeper网页中嵌入的拼图定义
+ *
+ * 网页的脚本和隐藏表单字段中带有拼图的任务字符串，编码方式为：
+ * - 数字0-9：一个带提示数字的单元格
+ * - 字母a-z：连续1-26个没有数字的单元格（a=1, b=2, ... z=26）
+ * - 下划线：分隔符，没有含义
+ * 单元格逐行从左到右排列。
+ *
+ * 与solver-core.js一样不依赖DOM：经典脚本中导出为全局对象 MosaicSiteTask，
+ * 在Node中通过 require('./site-task.js') 使用。读取网页内容由content.js负责，
+ * 这里只处理字符串。
+ */
+(function (root, factory) {
+    const siteTask = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = siteTask;
+    } else {
+        root.MosaicSiteTask = siteTask;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : self, function () {
+
+// 任务字符串只能包含的字符
+const TASK_PATTERN = /^[0-9a-z_]+$/;
+
+// 脚本中可能出现任务字符串和尺寸的写法，例如 task = '2b3a...'、"task":"2b3a..."、puzzleWidth: 10
+const SCRIPT_TASK_PATTERN = /["']?\btask["']?\s*[:=]\s*(["'])([0-9a-z_]+)\1/gi;
+const SCRIPT_WIDTH_PATTERN = /\b(?:puzzle)?width["']?\s*[:=]\s*["']?(\d+)/i;
+const SCRIPT_HEIGHT_PATTERN = /\b(?:puzzle)?height["']?\s*[:=]\s*["']?(\d+)/i;
+
+// 任务数据无效（无法解码或尺寸不符）
+class SiteTaskError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SiteTaskError';
+    }
+}
+
+// 工具函数：把任务字符串展开为逐格的提示数组（数字或null）
+function expandTask(task) {
+    if (!TASK_PATTERN.test(task)) {
+        throw new SiteTaskError(`任务字符串包含无法识别的字符: ${task.slice(0, 20)}`);
+    }
+
+    const cells = [];
+    for (const char of task) {
+        if (char >= '0' && char <= '9') {
+            cells.push(parseInt(char, 10));
+        } else if (char >= 'a' && char <= 'z') {
+            const run = char.charCodeAt(0) - 96;
+            for (let i = 0; i < run; i++) {
+                cells.push(null);
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * 解码任务字符串
+ * rows/cols未知时按正方形拼图推断（单元格数量必须是平方数）；返回 { rows, cols, clues }，clues为2D数组（数字或null）
+ * 单元格数量与尺寸不符时抛出SiteTaskError
+ */
+function decodeSiteTask(task, rows = null, cols = null) {
+    const cells = expandTask(task);
+
+    if (!rows && !cols) {
+        const side = Math.round(Math.sqrt(cells.length));
+        if (side * side !== cells.length) {
+            throw new SiteTaskError(`任务字符串有${cells.length}个单元格，不是正方形拼图，需要指定尺寸`);
+        }
+        rows = side;
+        cols = side;
+    } else if (!rows || !cols) {
+        rows = rows || cells.length / cols;
+        cols = cols || cells.length / rows;
+    }
+
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows * cols !== cells.length || cells.length === 0) {
+        throw new SiteTaskError(`任务字符串有${cells.length}个单元格，与尺寸${cols}x${rows}不符`);
+    }
+
+    const clues = [];
+    for (let r = 0; r < rows; r++) {
+        clues.push(cells.slice(r * cols, (r + 1) * cols));
+    }
+    return { rows: rows, cols: cols, clues: clues };
+}
+
+/**
+ * 把约束网格编码为任务字符串（decodeSiteTask的逆操作）
+ */
+function encodeSiteTask(constraintGrid) {
+    let task = '';
+    let run = 0;
+    const flushRun = () => {
+        while (run > 0) {
+            const length = Math.min(run, 26);
+            task += String.fromCharCode(96 + length);
+            run -= length;
+        }
+    };
+
+    constraintGrid.flat().forEach(cell => {
+        if (cell === null) {
+            run++;
+        } else {
+            flushRun();
+            task += cell;
+        }
+    });
+    flushRun();
+
+    return task;
+}
+
+/**
+ * 从网页数据中找出拼图定义
+ * sources: [{ kind: 'script' | 'field', name, text }]，脚本的内容或隐藏字段的值；
+ * cellCount: 网页上的单元格数量（用于排除不相关的字符串），未知时为null
+ * 返回第一个能成功解码的定义 { rows, cols, clues, task, source }，找不到时返回null
+ */
+function findSiteTask(sources, cellCount = null) {
+    for (const { kind, name, text } of sources) {
+        if (!text) continue;
+
+        const candidates = [];
+        let rows = null;
+        let cols = null;
+
+        if (kind === 'script') {
+            for (const match of text.matchAll(SCRIPT_TASK_PATTERN)) {
+                candidates.push(match[2]);
+            }
+            const widthMatch = text.match(SCRIPT_WIDTH_PATTERN);
+            const heightMatch = text.match(SCRIPT_HEIGHT_PATTERN);
+            cols = widthMatch ? parseInt(widthMatch[1], 10) : null;
+            rows = heightMatch ? parseInt(heightMatch[1], 10) : null;
+        } else if (TASK_PATTERN.test(text.trim())) {
+            candidates.push(text.trim());
+        }
+
+        for (const task of candidates) {
+            try {
+                const definition = decodeSiteTask(task, rows, cols);
+                if (cellCount !== null && definition.rows * definition.cols !== cellCount) {
+                    continue;
+                }
+                return { ...definition, task: task, source: `${kind}${name ? ':' + name : ''}` };
+            } catch (error) {
+                if (!(error instanceof SiteTaskError)) throw error;
+            }
+        }
+    }
+
+    return null;
+}
+
+return {
+    SiteTaskError,
+    decodeSiteTask,
+    encodeSiteTask,
+    findSiteTask
+};
+
+});
@@ -0,0 +1,2437 @@
+/**
+ * 马赛克拼图求解核心 - 纯算法，不依赖DOM、页面或扩展API
+ *
+ * 同一个文件可以在不同环境中使用：
+ * - 扩展的content script和Web Worker（经典脚本）：导出为全局对象 MosaicSolverCore
+ * - Node：const core = require('./solver-core.js')
+ * - ES模块：import { solveMosaic } from './solver-core.mjs'
+ *
+ * 算法原理：
+ * - 每个数字(0-9)表示以它为中心的3x3区域中需要填充的数量
+ * - CSP引擎：基数约束传播 + MAC回溯搜索
+ * - 传播引擎：逐个分析数字约束和重叠约束，无法推进时回溯
+ *
+ * 调试输出默认关闭，通过setDebug(true)打开
+ */
+(function (root, factory) {
+    const core = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        root.MosaicSolverCore = core;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : self, function () {
+
+// 调试模式控制 - 只影响核心自己的日志输出
+let debugEnabled = false;
+
+function setDebug(enabled) {
+    debugEnabled = Boolean(enabled);
+}
+
+function isDebugEnabled() {
+    return debugEnabled;
+}
+
+// 调试日志函数
+function debugLog(...args) {
+    if (debugEnabled) {
+        console.log(...args);
+    }
+}
+
+// 默认求解配置 - 每次求解都可以传入options覆盖其中的任意项
+const DEFAULT_SOLVER_OPTIONS = {
+    maxTimeMs: 30000,        // 时间预算：30秒超时
+    maxNodes: 1000000,       // 节点预算：最大操作（搜索节点）次数
+    maxDepth: 1000,          // 最大递归深度
+    engine: 'csp',           // 求解引擎：'csp'（MAC + 基数传播）或 'propagation'（约束传播 + 回溯）
+    valueOrder: 'blank-first' // 值的尝试顺序：'blank-first' | 'fill-first' | 'smart'
+};
+
+// 分块求解时每一块的最长运行时间（毫秒），块与块之间让出线程，以便处理取消等消息
+const SOLVER_CHUNK_MS = 50;
+
+/**
+ * 求解会话 - 保存一次求解的配置、安全限制和计数器
+ *
+ * 每次求解创建自己的会话，两次求解（例如Worker中的求解和主线程的检查）互不干扰
+ * options.signal为取消信号（AbortSignal或任何带aborted属性的对象），
+ * 被设置后shouldStop()返回true，搜索像超时一样停下来
+ */
+class SolverSession {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_SOLVER_OPTIONS };
+        Object.keys(DEFAULT_SOLVER_OPTIONS).forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) {
+                this.options[key] = options[key];
+            }
+        });
+
+        this.signal = options.signal || null;
+        this.startTime = Date.now();
+        this.chunkStartTime = this.startTime;
+        this.operationCount = 0;
+        this.currentDepth = 0;
+        this.isTimeoutExceeded = false;
+        this.stopReason = null; // 停止原因：'timeout' | 'iterations' | 'depth' | 'cancelled'
+
+        // 搜索统计，求解结束后通过getStats()取得完整报告
+        this.stats = {
+            nodes: 0,              // 搜索节点数（回溯函数的调用次数）
+            backtracks: 0,         // 赋值失败后恢复状态的次数
+            maxDepth: 0,           // 达到的最大递归深度
+            revisions: 0,          // 约束检查（修订）次数
+            propagationRounds: 0,  // 约束传播的轮数
+            cellsByBranching: 0    // 最终解中由分支（猜测）确定的单元格数
+        };
+    }
+
+    checkTimeout() {
+        if ((Date.now() - this.startTime) > this.options.maxTimeMs) {
+            this.isTimeoutExceeded = true;
+            this.stopReason = 'timeout';
+            debugLog("⚠️ 求解超时，停止算法");
+            return true;
+        }
+        return false;
+    }
+
+    incrementOperation() {
+        this.operationCount++;
+        if (this.operationCount > this.options.maxNodes) {
+            this.stopReason = this.stopReason || 'iterations';
+            debugLog("⚠️ 达到最大操作次数，停止算法");
+            return true;
+        }
+        return false;
+    }
+
+    enterRecursion() {
+        this.currentDepth++;
+        this.stats.maxDepth = Math.max(this.stats.maxDepth, this.currentDepth);
+        if (this.currentDepth > this.options.maxDepth) {
+            this.stopReason = this.stopReason || 'depth';
+            debugLog("⚠️ 递归深度过深，停止算法");
+            return true;
+        }
+        return false;
+    }
+
+    exitRecursion() {
+        this.currentDepth--;
+    }
+
+    checkCancelled() {
+        if (this.signal && this.signal.aborted) {
+            this.stopReason = this.stopReason || 'cancelled';
+            debugLog("⏹ 求解已被取消，停止算法");
+            return true;
+        }
+        return false;
+    }
+
+    shouldStop() {
+        return this.isTimeoutExceeded || this.checkCancelled() || this.checkTimeout() || this.incrementOperation();
+    }
+
+    // 当前块是否已经运行够久，需要让出线程（见runChunks/runChunksAsync）
+    chunkDue() {
+        const now = Date.now();
+        if (now - this.chunkStartTime < SOLVER_CHUNK_MS) {
+            return false;
+        }
+        this.chunkStartTime = now;
+        return true;
+    }
+
+    // 是否曾因安全限制或取消中断过搜索（不会增加操作计数）
+    hasHitLimit() {
+        return this.stopReason !== null;
+    }
+
+    // 剩余的时间预算（毫秒）
+    remainingTimeMs() {
+        return Math.max(0, this.options.maxTimeMs - (Date.now() - this.startTime));
+    }
+
+    /**
+     * 生成统计报告
+     * solution为求解结果（1填充/0空白/-1未知），givens为作为已知条件的玩家盘面（可选）；
+     * 已确定的单元格中，除了已知条件和分支确定的，其余都由约束传播确定
+     */
+    getStats(solution = null, givens = null) {
+        let resolvedCells = 0;
+        let givenCells = 0;
+        let totalCells = 0;
+        if (solution) {
+            for (let r = 0; r < solution.length; r++) {
+                for (let c = 0; c < solution[r].length; c++) {
+                    totalCells++;
+                    if (solution[r][c] !== -1) resolvedCells++;
+                    if (givens && (givens[r][c] === 0 || givens[r][c] === 1)) givenCells++;
+                }
+            }
+        }
+
+        return {
+            ...this.stats,
+            cellsByPropagation: Math.max(0, resolvedCells - givenCells - this.stats.cellsByBranching),
+            givenCells: givenCells,
+            totalCells: totalCells,
+            operations: this.operationCount,
+            wallTimeMs: Date.now() - this.startTime,
+            stopReason: this.stopReason,
+            limits: { ...this.options }
+        };
+    }
+}
+
+// 工具函数：同步运行分块的求解生成器，一次跑完所有块并返回结果
+function runChunks(chunks) {
+    let step = chunks.next();
+    while (!step.done) {
+        step = chunks.next();
+    }
+    return step.value;
+}
+
+// 工具函数：异步运行分块的求解生成器，每块之后通过setTimeout让出线程，返回结果的Promise
+async function runChunksAsync(chunks) {
+    let step = chunks.next();
+    while (!step.done) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        step = chunks.next();
+    }
+    return step.value;
+}
+
+// ==================== 新增：CSP架构 ====================
+
+/**
+ * CSP变量类 - 表示网格中的每个单元格
+ */
+class CSPVariable {
+    constructor(row, col) {
+        this.row = row;
+        this.col = col;
+        this.domain = new Set([0, 1]); // 只有0=空白, 1=填充（不包含-1）
+        this.value = -1; // 当前赋值，-1表示未赋值
+        this.constraints = new Set(); // 影响此变量的约束
+    }
+
+    assign(value) {
+        if (!this.domain.has(value)) {
+            return false;
+        }
+        this.value = value;
+        this.domain = new Set([value]); // 赋值后域只包含该值
+        return true;
+    }
+
+    removeFromDomain(value) {
+        return this.domain.delete(value);
+    }
+
+    isAssigned() {
+        return this.value !== -1;
+    }
+
+    getDomainSize() {
+        return this.domain.size;
+    }
+}
+
+/**
+ * CSP约束类 - 表示一个数字约束
+ */
+class CSPConstraint {
+    constructor(centerRow, centerCol, requiredCount) {
+        this.centerRow = centerRow;
+        this.centerCol = centerCol;
+        this.requiredCount = requiredCount;
+        this.variables = new Set(); // 受此约束影响的变量
+        this.id = `C_${centerRow}_${centerCol}`;
+        this.filledCount = 0; // 已赋值为填充的变量数（供基数传播器使用）
+        this.unknownCount = 0; // 未赋值的变量数
+    }
+
+    addVariable(variable) {
+        this.variables.add(variable);
+        variable.constraints.add(this);
+    }
+
+    // 根据变量当前的值重新计算计数器
+    recount() {
+        this.filledCount = 0;
+        this.unknownCount = 0;
+        for (const variable of this.variables) {
+            if (variable.value === 1) {
+                this.filledCount++;
+            } else if (variable.value === -1) {
+                this.unknownCount++;
+            }
+        }
+    }
+
+    // 检查当前约束是否满足（没有被违反，判断规则见clueStatus）
+    isSatisfied() {
+        let filledCount = 0;
+        let unknownCount = 0;
+
+        for (const variable of this.variables) {
+            if (variable.value === 1) {
+                filledCount++;
+            } else if (variable.value === -1) {
+                unknownCount++;
+            }
+            // variable.value === 0 是空白，不计数
+        }
+
+        if (clueStatus(this.requiredCount, filledCount, unknownCount) === 'violated') {
+            debugLog(`   🚫 约束违反: 位置(${this.centerRow},${this.centerCol}) 要求${this.requiredCount}，` +
+                `已有${filledCount}个填充，最多只能有${filledCount + unknownCount}个`);
+            return false;
+        }
+
+        return true;
+    }
+
+    // 获取与此约束相关的弧（变量对）
+    getArcs() {
+        const arcs = [];
+        const varArray = Array.from(this.variables);
+
+        for (let i = 0; i < varArray.length; i++) {
+            for (let j = i + 1; j < varArray.length; j++) {
+                arcs.push([varArray[i], varArray[j], this]);
+                arcs.push([varArray[j], varArray[i], this]);
+            }
+        }
+        return arcs;
+    }
+}
+
+/**
+ * CSP问题类 - 管理整个约束满足问题
+ */
+class MosaicCSP {
+    // givens: 可选的已知盘面（1填充/0空白/-1未知），已知单元格直接作为变量的初始赋值
+    constructor(constraintGrid, givens = null) {
+        this.rows = constraintGrid.length;
+        this.cols = constraintGrid[0].length;
+        this.variables = new Map(); // (row,col) -> CSPVariable
+        this.constraints = new Map(); // id -> CSPConstraint
+        this.preferredValues = new Map(); // (row,col) -> 搜索时优先尝试的值
+        this.lastConflict = null; // 最近一次传播发现矛盾的约束
+        this.conflictCounts = new Map(); // 约束 -> 传播中发现矛盾的次数
+
+        // 初始化变量
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                const variable = new CSPVariable(r, c);
+                if (givens && (givens[r][c] === 0 || givens[r][c] === 1)) {
+                    variable.assign(givens[r][c]);
+                }
+                this.variables.set(`${r},${c}`, variable);
+            }
+        }
+
+        // 初始化约束
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
+                if (constraintGrid[r][c] !== null) {
+                    const constraint = new CSPConstraint(r, c, constraintGrid[r][c]);
+                    this.constraints.set(constraint.id, constraint);
+
+                    // 添加3x3区域内的变量到约束
+                    const area3x3 = get3x3Area(r, c, this.rows, this.cols);
+                    for (const [ar, ac] of area3x3) {
+                        const variable = this.variables.get(`${ar},${ac}`);
+                        constraint.addVariable(variable);
+                    }
+                    constraint.recount();
+                }
+            }
+        }
+    }
+
+    getVariable(row, col) {
+        return this.variables.get(`${row},${col}`);
+    }
+
+    // 给变量赋值，并同步更新相关约束的计数器
+    assignVariable(variable, value) {
+        if (variable.isAssigned()) {
+            return variable.value === value;
+        }
+        if (!variable.assign(value)) {
+            return false;
+        }
+
+        for (const constraint of variable.constraints) {
+            constraint.unknownCount--;
+            if (value === 1) {
+                constraint.filledCount++;
+            }
+        }
+        return true;
+    }
+
+    getAllArcs() {
+        const allArcs = [];
+        for (const constraint of this.constraints.values()) {
+            allArcs.push(...constraint.getArcs());
+        }
+        return allArcs;
+    }
+
+    isComplete() {
+        for (const variable of this.variables.values()) {
+            if (!variable.isAssigned()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    isConsistent() {
+        for (const constraint of this.constraints.values()) {
+            if (!constraint.isSatisfied()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // 获取最受约束的变量（MRV启发式）
+    // 二值变量的域大小几乎都是2，因此改为看约束计数器：优先选择未知变量最少、
+    // 松弛度（需填充数与需空白数中的较小者）最小的约束，从中挑选涉及约束最多的变量
+    getMostConstrainedVariable() {
+        let bestConstraint = null;
+        let minUnknown = Infinity;
+        let minSlack = Infinity;
+
+        for (const constraint of this.constraints.values()) {
+            const unknownCount = constraint.unknownCount;
+            if (unknownCount === 0) continue;
+
+            const need = constraint.requiredCount - constraint.filledCount;
+            const slack = Math.min(need, unknownCount - need);
+
+            if (unknownCount < minUnknown || (unknownCount === minUnknown && slack < minSlack)) {
+                bestConstraint = constraint;
+                minUnknown = unknownCount;
+                minSlack = slack;
+            }
+        }
+
+        // 所有约束都已确定时，剩下的是不受任何约束影响的变量
+        const candidates = bestConstraint ? bestConstraint.variables : this.variables.values();
+
+        let bestVar = null;
+        let maxConstraints = -1;
+        for (const variable of candidates) {
+            if (!variable.isAssigned() && variable.constraints.size > maxConstraints) {
+                bestVar = variable;
+                maxConstraints = variable.constraints.size;
+            }
+        }
+        return bestVar;
+    }
+
+    // 转换为解决方案数组
+    toSolutionArray() {
+        const solution = Array(this.rows).fill().map(() => Array(this.cols).fill(-1));
+        for (const variable of this.variables.values()) {
+            solution[variable.row][variable.col] = variable.value;
+        }
+        return solution;
+    }
+}
+
+/**
+ * AC-3 弧一致性算法实现
+ */
+function ac3Algorithm(csp, session) {
+    debugLog("🔄 开始AC-3弧一致性算法...");
+
+    // 初始化队列，包含所有弧
+    const queue = csp.getAllArcs();
+    debugLog(`📊 初始弧数量: ${queue.length}`);
+
+    let iterationCount = 0;
+    const maxIterations = 1000; // 防止无限循环
+
+    while (queue.length > 0 && iterationCount < maxIterations) {
+        if (session.shouldStop()) {
+            debugLog("⚠️ AC-3因安全限制而停止");
+            break;
+        }
+
+        iterationCount++;
+        session.stats.revisions++;
+        const [xi, xj, constraint] = queue.shift();
+
+        // 检查弧(xi, xj)是否一致
+        if (revise(xi, xj, constraint)) {
+            debugLog(`🔧 修订了变量(${xi.row},${xi.col})的域，当前域大小: ${xi.getDomainSize()}`);
+
+            // 如果xi的域为空，则不一致
+            if (xi.getDomainSize() === 0) {
+                debugLog(`❌ 变量(${xi.row},${xi.col})域为空，问题不一致`);
+                return false;
+            }
+
+            // 将所有与xi相关的弧（除了刚处理的）加入队列
+            for (const neighborConstraint of xi.constraints) {
+                for (const xk of neighborConstraint.variables) {
+                    if (xk !== xi && xk !== xj) {
+                        queue.push([xk, xi, neighborConstraint]);
+                    }
+                }
+            }
+        }
+    }
+
+    debugLog(`✅ AC-3完成，迭代${iterationCount}次`);
+    return iterationCount < maxIterations;
+}
+
+/**
+ * 修订函数 - AC-3算法的核心
+ */
+function revise(xi, xj, constraint) {
+    let revised = false;
+    const xiDomainCopy = new Set(xi.domain);
+
+    debugLog(`🔧 修订弧 (${xi.row},${xi.col}) -> (${xj.row},${xj.col}) 在约束 ${constraint.id}`);
+    debugLog(`   xi域: [${Array.from(xi.domain).join(',')}], xj域: [${Array.from(xj.domain).join(',')}]`);
+
+    for (const value of xiDomainCopy) {
+        if (xi.isAssigned() && xi.value !== value) {
+            continue; // 已赋值的变量跳过其他值
+        }
+
+        if (!existsConsistentValue(xi, value, xj, constraint)) {
+            xi.removeFromDomain(value);
+            revised = true;
+            debugLog(`   🗑️ 从变量(${xi.row},${xi.col})域中移除值${value}，剩余域: [${Array.from(xi.domain).join(',')}]`);
+        }
+    }
+
+    return revised;
+}
+
+/**
+ * 检查是否存在与xi=value一致的xj值
+ */
+function existsConsistentValue(xi, xiValue, xj, constraint) {
+    for (const xjValue of xj.domain) {
+        if (isConsistentAssignment(xi, xiValue, xj, xjValue, constraint)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 检查两个变量的赋值是否与约束一致
+ */
+function isConsistentAssignment(xi, xiValue, xj, xjValue, constraint) {
+    // 保存所有相关变量的原始值
+    const originalValues = new Map();
+    for (const variable of constraint.variables) {
+        originalValues.set(variable, variable.value);
+    }
+
+    // 临时赋值
+    xi.value = xiValue;
+    xj.value = xjValue;
+
+    // 检查约束是否满足
+    const satisfied = constraint.isSatisfied();
+
+    // 恢复所有原值
+    for (const [variable, originalValue] of originalValues) {
+        variable.value = originalValue;
+    }
+
+    return satisfied;
+}
+
+/**
+ * 基数约束传播器 - 直接基于每个约束的已填充/未知计数器推理
+ *
+ * 由变化变量的事件队列驱动：只重新检查受变化变量影响的约束。
+ * 对每个约束：已填充数达到要求时其余变量全为空白；已填充+未知数恰好等于要求时全部填充。
+ * changedVariables为null时检查所有约束（用于预处理）。返回false表示出现矛盾。
+ */
+function propagateCardinality(csp, changedVariables = null, session = null) {
+    if (session) session.stats.propagationRounds++;
+
+    const variableQueue = changedVariables ? [...changedVariables] : [];
+    const constraintQueue = changedVariables ? [] : Array.from(csp.constraints.values());
+    const queued = new Set(constraintQueue);
+
+    while (variableQueue.length > 0 || constraintQueue.length > 0) {
+        // 变化的变量：把它所在的约束加入待检查队列
+        while (variableQueue.length > 0) {
+            const variable = variableQueue.shift();
+            for (const constraint of variable.constraints) {
+                if (!queued.has(constraint)) {
+                    queued.add(constraint);
+                    constraintQueue.push(constraint);
+                }
+            }
+        }
+
+        if (constraintQueue.length === 0) break;
+
+        const constraint = constraintQueue.shift();
+        queued.delete(constraint);
+        if (session) session.stats.revisions++;
+
+        const { filledCount, unknownCount, requiredCount } = constraint;
+
+        if (filledCount > requiredCount || filledCount + unknownCount < requiredCount) {
+            debugLog(`   🚫 基数传播发现矛盾: 约束${constraint.id} 要求${requiredCount}，已填充${filledCount}，未知${unknownCount}`);
+            csp.lastConflict = constraint;
+            csp.conflictCounts.set(constraint, (csp.conflictCounts.get(constraint) || 0) + 1);
+            return false;
+        }
+
+        if (unknownCount === 0) continue;
+
+        let forcedValue = null;
+        if (filledCount === requiredCount) {
+            forcedValue = 0;
+        } else if (filledCount + unknownCount === requiredCount) {
+            forcedValue = 1;
+        }
+
+        if (forcedValue === null) continue;
+
+        for (const variable of constraint.variables) {
+            if (!variable.isAssigned()) {
+                csp.assignVariable(variable, forcedValue);
+                variableQueue.push(variable);
+            }
+        }
+        debugLog(`🔧 约束${constraint.id}确定了${unknownCount}个变量为${forcedValue}`);
+    }
+
+    return true;
+}
+
+/**
+ * MAC回溯搜索算法（每次赋值后运行基数约束传播维持一致性）
+ * collector不为空时进入枚举模式：找到的解会收集到collector.solutions中，
+ * 直到数量达到collector.maxSolutions或搜索空间耗尽
+ */
+function macBacktrackSearch(csp, session, progressCallback = null, collector = null) {
+    debugLog("🔍 开始MAC回溯搜索...");
+
+    // 首先对所有约束运行一次基数传播作为预处理
+    if (!propagateCardinality(csp, null, session)) {
+        debugLog("❌ 基数传播预处理发现问题不一致");
+        return null;
+    }
+
+    // 开始回溯搜索
+    return runChunks(macBacktrack(csp, session, progressCallback, collector));
+}
+
+/**
+ * MAC回溯的递归实现
+ * 生成器：每运行一块（见SolverSession.chunkDue）让出一次，由runChunks/runChunksAsync驱动，返回值为搜索结果
+ */
+function* macBacktrack(csp, session, progressCallback = null, collector = null) {
+    if (session.chunkDue()) {
+        yield;
+    }
+
+    // 安全检查
+    if (session.shouldStop()) {
+        debugLog("⚠️ MAC回溯因安全限制而停止");
+        return null;
+    }
+
+    if (session.enterRecursion()) {
+        debugLog("⚠️ MAC递归深度超限");
+        session.exitRecursion();
+        return null;
+    }
+
+    session.stats.nodes++;
+
+    // 更新进度
+    if (progressCallback) {
+        progressCallback(csp.toSolutionArray());
+    }
+
+    // 检查是否完成
+    if (csp.isComplete()) {
+        session.exitRecursion();
+
+        if (collector) {
+            if (!csp.isConsistent()) {
+                return null;
+            }
+
+            collector.solutions.push(csp.toSolutionArray());
+            debugLog(`🎉 MAC找到第${collector.solutions.length}个解`);
+
+            // 未达到上限时返回null，让搜索继续回溯寻找下一个解
+            return collector.solutions.length >= collector.maxSolutions ? csp.toSolutionArray() : null;
+        }
+
+        debugLog("🎉 MAC找到完整解决方案！");
+        return csp.toSolutionArray();
+    }
+
+    // 选择变量（MRV + 度启发式）
+    const variable = csp.getMostConstrainedVariable();
+    if (!variable) {
+        debugLog("❌ 无法找到未赋值变量");
+        session.exitRecursion();
+        return null;
+    }
+
+    // 剩下的变量都不受任何约束影响：直接设为空白，不必逐个分支
+    // （枚举模式除外，这些变量的不同取值算作不同的解）
+    if (!collector && variable.constraints.size === 0) {
+        for (const freeVariable of csp.variables.values()) {
+            if (!freeVariable.isAssigned()) {
+                csp.assignVariable(freeVariable, 0);
+            }
+        }
+        debugLog("🎉 MAC找到完整解决方案！（剩余单元格不受约束）");
+        session.exitRecursion();
+        return csp.toSolutionArray();
+    }
+
+    debugLog(`🎯 选择变量(${variable.row},${variable.col})，域大小: ${variable.getDomainSize()}`);
+
+    // 尝试域中的每个值（LCV启发式 - 最少约束值优先）
+    const values = getOrderedValues(variable, csp, session.options.valueOrder);
+
+    for (const value of values) {
+        if (session.shouldStop()) {
+            break;
+        }
+
+        debugLog(`   🔬 尝试值: ${value} [深度: ${session.currentDepth}]`);
+
+        // 保存当前状态
+        const savedState = saveCSPState(csp);
+
+        // 赋值
+        if (csp.assignVariable(variable, value)) {
+            // 从刚赋值的变量出发运行基数传播
+            if (propagateCardinality(csp, [variable], session)) {
+                // 递归搜索
+                const result = yield* macBacktrack(csp, session, progressCallback, collector);
+                if (result) {
+                    session.stats.cellsByBranching++; // 找到解的路径上，这个变量是分支确定的
+                    session.exitRecursion();
+                    return result;
+                }
+            } else {
+                debugLog(`   ❌ 赋值${value}导致不一致`);
+            }
+        }
+
+        // 回溯：恢复状态
+        restoreCSPState(csp, savedState);
+        session.stats.backtracks++;
+        debugLog(`   🔙 回溯，恢复变量(${variable.row},${variable.col})状态`);
+    }
+
+    debugLog(`❌ 变量(${variable.row},${variable.col})的所有值都失败`);
+    session.exitRecursion();
+    return null;
+}
+
+/**
+ * 获取有序的值列表（LCV启发式）
+ * strategy: 'blank-first' 空白优先 | 'fill-first' 填充优先 | 'smart' 根据相关约束的剩余需求判断
+ */
+function getOrderedValues(variable, csp, strategy = 'blank-first') {
+    const values = Array.from(variable.domain);
+
+    // 有偏好值时（例如玩家的盘面）优先尝试它
+    const preferred = csp.preferredValues.get(`${variable.row},${variable.col}`);
+    if (preferred !== undefined && variable.domain.has(preferred)) {
+        return [preferred, ...values.filter(value => value !== preferred)];
+    }
+
+    let firstValue = 0;
+    if (strategy === 'fill-first') {
+        firstValue = 1;
+    } else if (strategy === 'smart') {
+        // 每个约束中剩余需要填充的比例越高，越倾向于填充
+        let fillScore = 0;
+        let blankScore = 0;
+        for (const constraint of variable.constraints) {
+            if (constraint.unknownCount === 0) continue;
+            const fillRatio = (constraint.requiredCount - constraint.filledCount) / constraint.unknownCount;
+            fillScore += fillRatio;
+            blankScore += 1 - fillRatio;
+        }
+        firstValue = fillScore > blankScore ? 1 : 0;
+    }
+
+    // 简单排序：优先尝试firstValue，然后另一个值
+    // 实际的LCV需要计算每个值对其他变量域的影响
+    return values.sort((a, b) => {
+        if (a === firstValue && b !== firstValue) return -1;
+        if (a !== firstValue && b === firstValue) return 1;
+        return 0;
+    });
+}
+
+/**
+ * 保存CSP状态（变量的值和域，以及约束的计数器）
+ */
+function saveCSPState(csp) {
+    const variables = new Map();
+    for (const [key, variable] of csp.variables) {
+        variables.set(key, {
+            value: variable.value,
+            domain: new Set(variable.domain)
+        });
+    }
+
+    const counters = new Map();
+    for (const [id, constraint] of csp.constraints) {
+        counters.set(id, [constraint.filledCount, constraint.unknownCount]);
+    }
+
+    return { variables, counters };
+}
+
+/**
+ * 恢复CSP状态
+ */
+function restoreCSPState(csp, state) {
+    for (const [key, savedVar] of state.variables) {
+        const variable = csp.variables.get(key);
+        variable.value = savedVar.value;
+        variable.domain = new Set(savedVar.domain);
+    }
+
+    for (const [id, [filledCount, unknownCount]] of state.counters) {
+        const constraint = csp.constraints.get(id);
+        constraint.filledCount = filledCount;
+        constraint.unknownCount = unknownCount;
+    }
+}
+
+/**
+ * 求解入口：按options.engine选择求解引擎
+ *
+ * 输入: 2D数组，数字表示约束，null表示无约束
+ * 输出: { solution, partial, stats }，solution为2D数组（1表示填充，0表示空白），
+ *       partial与solution相同但未确定的单元格为-1，stats为统计报告
+ * options见DEFAULT_SOLVER_OPTIONS和solveMosaicCSP；options.givens为玩家盘面（可选）
+ */
+function solveMosaic(constraintGrid, progressCallback = null, options = {}) {
+    return runChunks(solveMosaicChunks(constraintGrid, progressCallback, options));
+}
+
+/**
+ * solveMosaic的异步版本 - 分块求解，块与块之间让出线程
+ *
+ * 求解期间事件循环可以继续处理消息，因此可以通过options.signal（或传入会话的signal）取消求解；
+ * 取消后和超时一样返回已经推出的部分解，stats.stopReason为'cancelled'
+ * 返回 Promise<{ solution, partial, stats }>
+ */
+async function solveMosaicAsync(constraintGrid, progressCallback = null, options = {}) {
+    return runChunksAsync(solveMosaicChunks(constraintGrid, progressCallback, options));
+}
+
+// solveMosaic的分块实现（生成器，返回值为求解结果）
+function* solveMosaicChunks(constraintGrid, progressCallback = null, options = {}) {
+    debugLog("🧠 执行新的CSP约束传播算法...");
+    debugLog("📐 输入网格大小:", constraintGrid.length, "x", constraintGrid[0].length);
+
+    // 创建求解会话（调用方可以通过options.session传入，以便求解后读取停止原因）
+    const session = options.session || new SolverSession(options);
+    const { maxTimeMs, maxNodes, maxDepth, engine, valueOrder } = session.options;
+    debugLog(`🔒 安全限制: 超时${maxTimeMs/1000}秒, 最大节点${maxNodes}个, 最大递归${maxDepth}层`);
+    debugLog(`⚙️ 求解引擎: ${engine}, 值顺序: ${valueOrder}`);
+
+    debugLog("🎯 马赛克拼图约束网格:");
+    for (let r = 0; r < constraintGrid.length; r++) {
+        const rowStr = constraintGrid[r].map(cell => cell === null ? '.' : cell).join(' ');
+        debugLog(`   行${r}: ${rowStr}`);
+    }
+
+    if (engine === 'propagation') {
+        // 使用旧的约束传播 + 回溯算法（有玩家盘面时从盘面开始）
+        return yield* mosaicConstraintPropagationChunks(createInitialSolution(constraintGrid, options.givens),
+            constraintGrid, progressCallback, { ...options, session: session });
+    } else {
+        // 使用新的CSP算法
+        return yield* solveMosaicCSPChunks(constraintGrid, progressCallback, { ...options, session: session });
+    }
+}
+
+// 工具函数：创建初始解，有玩家盘面时复制盘面，否则全部未知（-1）
+function createInitialSolution(constraintGrid, givens = null) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    return givens ?
+        givens.map(row => [...row]) :
+        Array(rows).fill().map(() => Array(cols).fill(-1));
+}
+
+/**
+ * 新的CSP求解主函数
+ *
+ * options.enumerate为true时不在第一个解处停止，而是继续搜索并返回枚举报告
+ * （见enumerateMosaicSolutions），用于检查手工拼图的解是否唯一
+ * options.partialCallback会在搜索开始前收到根节点传播确定的单元格（-1表示未知）；
+ * 搜索中的盘面含有尚未证明的猜测，只用于progressCallback的进度
+ * options.givens为玩家当前盘面（1填充/0空白/-1未知），作为已知条件参与求解；
+ * 若这些已知条件与所有解矛盾，options.givenConflictCallback会收到互相矛盾的玩家单元格（见findGivenConflicts）
+ * 拼图本身无解时，options.unsatCoreCallback会收到互相矛盾的最小数字集合（见findMinimalUnsatisfiableClues）
+ * 时间/节点/深度限制和值顺序见DEFAULT_SOLVER_OPTIONS；也可以通过options.session传入已有的求解会话
+ *
+ * 返回 { solution, partial, stats }：solution中未知单元格按空白处理，partial为同一结果但未知单元格保持为-1
+ * （没有完全求解时只有partial中确定的单元格是推出来的），stats为统计报告（见SolverSession.getStats）
+ */
+function solveMosaicCSP(constraintGrid, progressCallback = null, options = {}) {
+    return runChunks(solveMosaicCSPChunks(constraintGrid, progressCallback, options));
+}
+
+// solveMosaicCSP的分块实现（生成器，返回值为求解结果）
+function* solveMosaicCSPChunks(constraintGrid, progressCallback = null, options = {}) {
+    debugLog("🚀 开始CSP求解...");
+    const session = options.session || new SolverSession(options);
+
+    // 创建CSP问题
+    const csp = new MosaicCSP(constraintGrid, options.givens || null);
+    debugLog(`📊 创建了${csp.variables.size}个变量和${csp.constraints.size}个约束`);
+
+    if (options.enumerate) {
+        return enumerateMosaicSolutions(csp, session, options.maxSolutions);
+    }
+
+    // 进度回调包装器
+    const wrappedProgressCallback = progressCallback ? (solution) => {
+        const totalCells = solution.length * solution[0].length;
+        const resolvedCells = solution.flat().filter(cell => cell !== -1).length;
+        const percentage = Math.round((resolvedCells / totalCells) * 100);
+
+        debugLog(`📊 CSP进度: ${resolvedCells}/${totalCells} = ${percentage}%`);
+        progressCallback(percentage, resolvedCells, totalCells);
+    } : null;
+
+    // 使用MAC算法求解：先对所有约束做一次基数传播，这一步推出的单元格不依赖任何猜测，可以作为部分解应用
+    let solution = null;
+    if (propagateCardinality(csp, null, session)) {
+        if (options.partialCallback) {
+            options.partialCallback(csp.toSolutionArray());
+        }
+        solution = yield* macBacktrack(csp, session, wrappedProgressCallback);
+    } else {
+        debugLog("❌ 基数传播预处理发现问题不一致");
+    }
+
+    if (solution) {
+        debugLog("🎉 CSP算法成功解决拼图！");
+        if (progressCallback) {
+            const totalCells = solution.length * solution[0].length;
+            progressCallback(100, totalCells, totalCells);
+        }
+        return {
+            solution: solution.map(row => row.map(cell => cell === -1 ? 0 : cell)),
+            partial: solution,
+            stats: session.getStats(solution, options.givens || null)
+        };
+    } else {
+        const reason = session.isTimeoutExceeded ? "超时" : "无解或达到安全限制";
+        debugLog(`❌ CSP算法停止: ${reason}`);
+
+        // 统计在诊断之前生成，不包含诊断的耗时
+        const partialSolution = csp.toSolutionArray();
+        const stats = session.getStats(partialSolution, options.givens || null);
+
+        // 完整搜索后仍然无解：带有玩家盘面时先找出与解矛盾的玩家单元格，
+        // 拼图本身无解时再找出互相矛盾的数字（这些分析使用各自的会话，不影响本次求解的停止原因）
+        if (!session.hasHitLimit()) {
+            const conflicts = options.givens ?
+                findGivenConflicts(constraintGrid, options.givens, session.options) : null;
+            if (conflicts) {
+                if (options.givenConflictCallback) {
+                    options.givenConflictCallback(conflicts);
+                }
+            } else if (options.unsatCoreCallback) {
+                options.unsatCoreCallback(findMinimalUnsatisfiableClues(constraintGrid, session.options));
+            }
+        }
+
+        // 返回部分解
+        if (progressCallback) {
+            const totalCells = partialSolution.length * partialSolution[0].length;
+            const resolvedCells = partialSolution.flat().filter(cell => cell !== -1).length;
+            const percentage = Math.round((resolvedCells / totalCells) * 100);
+            progressCallback(percentage, resolvedCells, totalCells);
+        }
+        return {
+            solution: partialSolution.map(row => row.map(cell => cell === -1 ? 0 : cell)),
+            partial: partialSolution,
+            stats: stats
+        };
+    }
+}
+
+/**
+ * 找出玩家盘面中互相矛盾的单元格 - 一组不能同时成立的玩家单元格（最小冲突子集）
+ *
+ * 与findMinimalUnsatisfiableClues相同，基于删除：依次尝试删掉玩家单元格，删掉后仍然与所有解矛盾就永久删掉，
+ * 否则保留；先按大块删除、再逐步减小块的大小，最后逐个检查，剩下的每个单元格都不可缺少。
+ * 多解的拼图中一个单元格只有和其他单元格放在一起才可能出错，因此结果是"这些单元格不能同时正确"，
+ * 只有一个单元格时它本身与所有解矛盾。删除的顺序参考一个尽量贴近玩家盘面的解（搜索时优先尝试玩家的值），
+ * 与该解一致的单元格先尝试删除，结果尽量由与解不同的单元格组成。
+ *
+ * 返回 [{ row, col, given, expected }]，expected为其余冲突单元格都正确时该单元格必须取的值；
+ * 拼图本身无解（或检查被安全限制中断）时返回null
+ * options为求解配置：每次检查使用独立的会话，总耗时也不超过options中的时间限制；
+ * 某次检查被中断时保守地保留该单元格（结果仍然矛盾，但不一定最小）
+ */
+function findGivenConflicts(constraintGrid, givens, options = {}) {
+    debugLog("🔎 玩家盘面与所有解矛盾，查找互相矛盾的单元格...");
+
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    const budget = new SolverSession(options);
+
+    const csp = new MosaicCSP(constraintGrid);
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (givens[r][c] === 0 || givens[r][c] === 1) {
+                csp.preferredValues.set(`${r},${c}`, givens[r][c]);
+            }
+        }
+    }
+
+    const reference = macBacktrackSearch(csp, new SolverSession(options));
+    if (!reference) {
+        debugLog("❌ 拼图本身无解，无法判断玩家盘面的错误");
+        return null;
+    }
+
+    // 与参考解一致的单元格排在前面，先尝试删除
+    let cells = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (givens[r][c] === 0 || givens[r][c] === 1) {
+                cells.push({ row: r, col: c, given: givens[r][c] });
+            }
+        }
+    }
+    cells = cells.filter(({ row, col, given }) => reference[row][col] === given)
+        .concat(cells.filter(({ row, col, given }) => reference[row][col] !== given));
+
+    // 只保留给定的玩家单元格时是否与所有解矛盾：true矛盾，false有解，null无法确定
+    const isUnsatisfiable = (cellList) => {
+        const board = Array(rows).fill().map(() => Array(cols).fill(-1));
+        cellList.forEach(({ row, col, given }) => {
+            board[row][col] = given;
+        });
+
+        const session = new SolverSession(options);
+        if (macBacktrackSearch(new MosaicCSP(constraintGrid, board), session)) {
+            return false;
+        }
+        return session.hasHitLimit() ? null : true;
+    };
+
+    let chunkSize = Math.max(1, Math.ceil(cells.length / 2));
+    while (true) {
+        for (let i = 0; i < cells.length;) {
+            // 总耗时超过单次求解的时间限制时停止，返回当前（仍然矛盾的）集合
+            if (budget.checkTimeout()) {
+                debugLog("⚠️ 查找互相矛盾的单元格超时，结果可能不是最小的");
+                break;
+            }
+
+            const remaining = cells.slice(0, i).concat(cells.slice(i + chunkSize));
+            if (isUnsatisfiable(remaining) === true) {
+                cells = remaining; // 这一块与矛盾无关
+            } else {
+                i += chunkSize;
+            }
+        }
+
+        if (chunkSize === 1 || budget.isTimeoutExceeded) break;
+        chunkSize = Math.ceil(chunkSize / 2);
+    }
+
+    // 冲突集合是最小的时，其中任一单元格取相反的值，其余单元格就可以同时成立
+    const conflicts = cells.map(({ row, col, given }) => ({ row: row, col: col, given: given, expected: 1 - given }));
+    debugLog(`🔎 找到${conflicts.length}个互相矛盾的玩家单元格`);
+    return conflicts;
+}
+
+/**
+ * 最小不可满足数字集合（MUS）提取 - 找出一组互相矛盾的数字
+ *
+ * 基于删除：依次尝试删掉数字，删掉后仍然无解就永久删掉，否则保留。
+ * 先定位矛盾位置（基数传播直接失败的约束，或搜索中最常失败的约束），
+ * 只在其附近逐步扩大范围取数字，避免对整个盘面反复求解；
+ * 删除时先按大块删除、再逐步减小块的大小，最后逐个检查，这样大部分无关的数字能一次删掉。
+ * 由于"有解"对删除数字是单调的，最后一轮逐个检查后剩下的每个数字都不可缺少。
+ *
+ * 返回 { clues: [{ row, col, count }], minimal }；
+ * 某次检查被安全限制中断时保守地保留该数字，此时minimal为false（结果仍然无解，但不一定最小）
+ * options为求解配置：每次检查使用独立的会话，总耗时也不超过options中的时间限制
+ */
+function findMinimalUnsatisfiableClues(constraintGrid, options = {}) {
+    debugLog("🧩 开始提取互相矛盾的最小数字集合...");
+
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    const budget = new SolverSession(options);
+    let minimal = true;
+
+    let clues = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (constraintGrid[r][c] !== null) {
+                clues.push({ row: r, col: c, count: constraintGrid[r][c] });
+            }
+        }
+    }
+
+    // 只保留给定数字时是否无解：true无解，false有解，null无法确定
+    const isUnsatisfiable = (clueList) => {
+        const grid = Array(rows).fill().map(() => Array(cols).fill(null));
+        clueList.forEach(({ row, col, count }) => {
+            grid[row][col] = count;
+        });
+
+        const session = new SolverSession(options);
+        if (macBacktrackSearch(new MosaicCSP(grid), session)) {
+            return false;
+        }
+        return session.hasHitLimit() ? null : true;
+    };
+
+    // 定位矛盾位置，在其附近找到一个仍然无解的小范围
+    const probe = new MosaicCSP(constraintGrid);
+    let seed = null;
+    if (!propagateCardinality(probe)) {
+        seed = probe.lastConflict;
+    } else {
+        macBacktrackSearch(probe, new SolverSession(options));
+        let maxConflicts = 0;
+        probe.conflictCounts.forEach((count, constraint) => {
+            if (count > maxConflicts) {
+                maxConflicts = count;
+                seed = constraint;
+            }
+        });
+    }
+
+    if (seed) {
+        const { centerRow, centerCol } = seed;
+        for (let radius = 2; radius < Math.max(rows, cols); radius *= 2) {
+            const nearby = clues.filter(({ row, col }) =>
+                Math.abs(row - centerRow) <= radius && Math.abs(col - centerCol) <= radius);
+            if (isUnsatisfiable(nearby) === true) {
+                debugLog(`🧩 矛盾位于(${centerRow},${centerCol})附近${radius}格范围内`);
+                clues = nearby;
+                break;
+            }
+        }
+    }
+
+    let chunkSize = Math.max(1, Math.ceil(clues.length / 2));
+    while (true) {
+        for (let i = 0; i < clues.length;) {
+            // 总耗时超过单次求解的时间限制时停止，返回当前（仍然无解的）集合
+            if (budget.checkTimeout()) {
+                debugLog("⚠️ 提取矛盾数字超时，结果可能不是最小的");
+                return { clues: clues, minimal: false };
+            }
+
+            const remaining = clues.slice(0, i).concat(clues.slice(i + chunkSize));
+            const unsatisfiable = isUnsatisfiable(remaining);
+
+            if (unsatisfiable === true) {
+                clues = remaining; // 这一块与矛盾无关
+            } else {
+                if (unsatisfiable === null) minimal = false;
+                i += chunkSize;
+            }
+        }
+
+        if (chunkSize === 1) break;
+        chunkSize = Math.ceil(chunkSize / 2);
+    }
+
+    debugLog(`🧩 找到${clues.length}个互相矛盾的数字:`, clues.map(({ row, col, count }) => `(${row},${col})=${count}`));
+    return { clues: clues, minimal: minimal };
+}
+
+/**
+ * 枚举拼图的解（最多maxSolutions个）
+ *
+ * 返回报告：
+ * - status: 'unique' 唯一解 | 'multiple' 多解 | 'none' 无解 | 'unknown' 搜索被安全限制中断（或maxSolutions为1，找到一个解就停止了）
+ * - solutions: 找到的解（2D数组，1填充/0空白）
+ * - capped: 是否因达到maxSolutions而提前停止（可能还有更多解）
+ * - exhausted: 是否完整搜索了整个解空间
+ * - stats: 搜索统计（见SolverSession.getStats）
+ */
+function enumerateMosaicSolutions(csp, session, maxSolutions = 10) {
+    debugLog(`🔢 枚举模式：最多收集${maxSolutions}个解`);
+
+    const collector = { solutions: [], maxSolutions: Math.max(1, maxSolutions) };
+    macBacktrackSearch(csp, session, null, collector);
+
+    const count = collector.solutions.length;
+    const capped = count >= collector.maxSolutions;
+    const exhausted = !capped && !session.hasHitLimit();
+
+    let status;
+    let message;
+    if (count === 0) {
+        status = exhausted ? 'none' : 'unknown';
+        message = exhausted ? "无解" : "搜索被安全限制中断，未找到解";
+    } else if (count === 1 && exhausted) {
+        status = 'unique';
+        message = "唯一解";
+    } else if (count === 1) {
+        status = 'unknown';
+        message = capped ? "至少1个解（已达上限，未检查唯一性）" :
+            "至少1个解（搜索被安全限制中断，无法确认唯一性）";
+    } else {
+        status = 'multiple';
+        message = capped ? `${count}个解（已达上限，可能更多）` :
+            exhausted ? `${count}个解` : `至少${count}个解（搜索被安全限制中断）`;
+    }
+
+    debugLog(`📋 枚举结果: ${message}`);
+
+    return {
+        status: status,
+        message: message,
+        solutions: collector.solutions,
+        solutionCount: count,
+        capped: capped,
+        exhausted: exhausted,
+        stats: session.getStats()
+    };
+}
+
+// 马赛克拼图约束分析：每个数字位置周围需要有指定数量的填充邻居
+function analyzeConstraints(constraintGrid, solution) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    let changed = false;
+
+    // 分析每个有数字约束的位置
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (constraintGrid[r][c] !== null) {
+                const requiredCount = constraintGrid[r][c];
+                const result = analyzeNumberConstraint(r, c, requiredCount, solution);
+
+                if (result.changed) {
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    return changed;
+}
+
+// 分析单个数字约束
+function analyzeNumberConstraint(row, col, requiredCount, solution) {
+    // 获取3x3区域的所有位置（包括中心）
+    const area3x3 = get3x3Area(row, col, solution.length, solution[0].length);
+    const unknownCells = [];
+    const filledCells = [];
+    const emptyCells = [];
+
+    // 统计3x3区域内的状态（包括中心格子）
+    area3x3.forEach(([r, c]) => {
+        const state = solution[r][c];
+        if (state === -1) unknownCells.push([r, c]);
+        else if (state === 1) filledCells.push([r, c]);
+        else if (state === 0) emptyCells.push([r, c]);
+    });
+
+    let changed = false;
+    const newCells = [];
+
+    // 只在有变化时输出详细日志
+    const hasAction = (filledCells.length === requiredCount && unknownCells.length > 0) ||
+                     (filledCells.length + unknownCells.length === requiredCount && unknownCells.length > 0);
+
+    if (hasAction) {
+        debugLog(`🔍 分析位置(${row},${col})约束${requiredCount}: 3x3区域已填充${filledCells.length}, 未知${unknownCells.length}`);
+    }
+
+    // 策略1: 如果已填充数量等于要求数量，其余单元格都标记为空白
+    if (filledCells.length === requiredCount) {
+        if (unknownCells.length > 0) {
+            debugLog(`   策略1: 标记${unknownCells.length}个单元格为空白`);
+            unknownCells.forEach(([r, c]) => {
+                solution[r][c] = 0;
+                newCells.push([r, c, 0]);
+                changed = true;
+            });
+        }
+    }
+
+    // 策略2: 如果已填充数量+未知数量等于要求数量，所有未知单元格都必须填充
+    else if (filledCells.length + unknownCells.length === requiredCount) {
+        if (unknownCells.length > 0) {
+            debugLog(`   策略2: 填充${unknownCells.length}个未知单元格`);
+            unknownCells.forEach(([r, c]) => {
+                solution[r][c] = 1;
+                newCells.push([r, c, 1]);
+                changed = true;
+            });
+        }
+    }
+
+    // 策略3: 检查是否有矛盾
+    else if (filledCells.length > requiredCount) {
+        debugLog(`❌ 约束矛盾: 位置(${row},${col})要求3x3区域有${requiredCount}个填充，但已有${filledCells.length}个`);
+    }
+
+    return { changed, newCells };
+}
+
+// 重叠约束分析：比较两个3x3区域有重叠的数字约束（子集/差集推理）
+// 对每一对重叠的约束应用推理，直接修改solution，返回是否有变化
+function analyzeOverlapConstraints(constraintGrid, solution) {
+    let changed = false;
+
+    forEachOverlappingCluePair(constraintGrid, (first, second) => {
+        const deduction = deduceFromClueOverlap(first, second, solution);
+        if (deduction) {
+            debugLog(`🔗 重叠推理: ${deduction.reason}`);
+            deduction.cells.forEach(([r, c, value]) => {
+                solution[r][c] = value;
+            });
+            changed = true;
+        }
+        return false;
+    });
+
+    return changed;
+}
+
+// 查找第一条重叠约束推理（不修改solution），没有时返回null
+function findOverlapDeduction(constraintGrid, solution) {
+    let found = null;
+
+    forEachOverlappingCluePair(constraintGrid, (first, second) => {
+        found = deduceFromClueOverlap(first, second, solution);
+        return found !== null;
+    });
+
+    return found;
+}
+
+// 遍历所有3x3区域有重叠的数字约束对（中心距离不超过2），回调返回true时停止遍历
+function forEachOverlappingCluePair(constraintGrid, callback) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    const clues = [];
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (constraintGrid[r][c] !== null) {
+                clues.push({ row: r, col: c, count: constraintGrid[r][c], area: get3x3Area(r, c, rows, cols) });
+            }
+        }
+    }
+
+    for (let i = 0; i < clues.length; i++) {
+        for (let j = i + 1; j < clues.length; j++) {
+            if (Math.abs(clues[i].row - clues[j].row) > 2 || Math.abs(clues[i].col - clues[j].col) > 2) {
+                continue;
+            }
+            if (callback(clues[i], clues[j])) {
+                return;
+            }
+        }
+    }
+}
+
+// 对两个重叠约束做差集推理
+// 设x为重叠区域未知格中的填充数，两个约束分别给出x的上下界：
+// x ∈ [max(0, 需A-A独有未知数, 需B-B独有未知数), min(重叠未知数, 需A, 需B)]
+// 再由x的范围反推各自独有区域的填充数，若独有区域只能全空或全填则得出结论
+function deduceFromClueOverlap(first, second, solution) {
+    const overlapKeys = new Set(second.area.map(([r, c]) => `${r},${c}`));
+    const isUnknown = ([r, c]) => solution[r][c] === -1;
+
+    const shared = first.area.filter(([r, c]) => overlapKeys.has(`${r},${c}`) && isUnknown([r, c]));
+    if (shared.length === 0) return null;
+
+    const sides = [first, second].map(clue => {
+        const filledCount = clue.area.filter(([r, c]) => solution[r][c] === 1).length;
+        return {
+            clue: clue,
+            need: clue.count - filledCount,
+            only: clue.area.filter(([r, c]) => isUnknown([r, c]) &&
+                !shared.some(([sr, sc]) => sr === r && sc === c))
+        };
+    });
+
+    const low = Math.max(0, ...sides.map(side => side.need - side.only.length));
+    const high = Math.min(shared.length, ...sides.map(side => side.need));
+    if (low > high) return null; // 矛盾交给基础传播处理
+
+    const clueText = (clue) => `数字${clue.count} 位于(${clue.row},${clue.col})`;
+    const cellsText = (cells) => cells.map(([r, c]) => `(${r},${c})`).join('、');
+    const clueInfo = (clue) => ({ row: clue.row, col: clue.col, count: clue.count });
+
+    for (const [index, side] of sides.entries()) {
+        if (side.only.length === 0) continue;
+        const other = sides[1 - index].clue;
+
+        // 独有区域最多需要 need-low 个填充
+        if (side.need - low === 0) {
+            return {
+                cells: side.only.map(([r, c]) => [r, c, 0]),
+                clues: [clueInfo(side.clue), clueInfo(other)],
+                reason: `${clueText(side.clue)} 还需要${side.need}个填充，与${clueText(other)}的重叠区域至少要填${low}个，` +
+                    `所以${cellsText(side.only)}必须为空白`
+            };
+        }
+
+        // 独有区域至少需要 need-high 个填充
+        if (side.need - high === side.only.length) {
+            return {
+                cells: side.only.map(([r, c]) => [r, c, 1]),
+                clues: [clueInfo(side.clue), clueInfo(other)],
+                reason: `${clueText(side.clue)} 还需要${side.need}个填充，与${clueText(other)}的重叠区域最多只能填${high}个，` +
+                    `所以${cellsText(side.only)}必须填充`
+            };
+        }
+    }
+
+    // 重叠区域本身的填充数已被唯一确定
+    if (low === high && (low === 0 || low === shared.length)) {
+        const value = low === 0 ? 0 : 1;
+        return {
+            cells: shared.map(([r, c]) => [r, c, value]),
+            clues: [clueInfo(first), clueInfo(second)],
+            reason: `${clueText(first)}与${clueText(second)}的重叠区域恰好需要${low}个填充，` +
+                `所以${cellsText(shared)}${value === 1 ? '必须填充' : '必须为空白'}`
+        };
+    }
+
+    return null;
+}
+
+// 查找下一个可以由当前盘面逻辑推出的单元格（提示模式）
+// solution: 当前盘面，1表示填充，0表示空白，-1表示未知
+// 返回 { row, col, value, reason, clue } ；盘面与约束矛盾时返回 { contradiction: true, reason, clue } ；
+// 没有可推出的单元格时返回null
+function findNextHint(constraintGrid, solution) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const requiredCount = constraintGrid[r][c];
+            if (requiredCount === null) continue;
+
+            const area3x3 = get3x3Area(r, c, rows, cols);
+            const unknownCells = area3x3.filter(([ar, ac]) => solution[ar][ac] === -1);
+            const filledCount = area3x3.filter(([ar, ac]) => solution[ar][ac] === 1).length;
+            const clue = { row: r, col: c, count: requiredCount };
+            const clueText = `数字${requiredCount} 位于(${r},${c})`;
+
+            // 盘面已经违反约束时，先提示矛盾
+            if (filledCount > requiredCount) {
+                return {
+                    contradiction: true,
+                    clue: clue,
+                    reason: `${clueText} 周围已有${filledCount}个填充，超过了要求的${requiredCount}个`
+                };
+            }
+            if (filledCount + unknownCells.length < requiredCount) {
+                return {
+                    contradiction: true,
+                    clue: clue,
+                    reason: `${clueText} 周围最多只能有${filledCount + unknownCells.length}个填充，不足${requiredCount}个`
+                };
+            }
+
+            if (unknownCells.length === 0) continue;
+            const [hr, hc] = unknownCells[0];
+
+            // 策略1: 已填充数量等于要求数量，其余单元格都是空白
+            if (filledCount === requiredCount) {
+                return {
+                    row: hr,
+                    col: hc,
+                    value: 0,
+                    clue: clue,
+                    reason: `${clueText} 周围已有${filledCount}个填充，所以(${hr},${hc})必须为空白`
+                };
+            }
+
+            // 策略2: 剩余需要的填充数恰好等于未知单元格数，全部都要填充
+            if (filledCount + unknownCells.length === requiredCount) {
+                return {
+                    row: hr,
+                    col: hc,
+                    value: 1,
+                    clue: clue,
+                    reason: `${clueText} 还需要${requiredCount - filledCount}个填充，恰好只剩${unknownCells.length}个未知单元格，所以(${hr},${hc})必须填充`
+                };
+            }
+        }
+    }
+
+    // 单个约束无法推出时，尝试比较两个重叠的约束
+    const deduction = findOverlapDeduction(constraintGrid, solution);
+    if (deduction) {
+        const [hr, hc, value] = deduction.cells[0];
+        return {
+            row: hr,
+            col: hc,
+            value: value,
+            clue: deduction.clues[0],
+            relatedClues: deduction.clues,
+            reason: deduction.reason
+        };
+    }
+
+    return null;
+}
+
+// 数字约束的状态（CSP约束、部分解检查和网页上的数字提示共用同一套计数规则）：
+// - 'violated'：填充数超过要求，或者把剩下的未知单元格全部填充也不够
+// - 'satisfied'：填充数恰好等于要求，剩下的未知单元格只能是空白
+// - 'open'：还没有确定
+function clueStatus(requiredCount, filledCount, unknownCount) {
+    if (filledCount > requiredCount || filledCount + unknownCount < requiredCount) {
+        return 'violated';
+    }
+    return filledCount === requiredCount ? 'satisfied' : 'open';
+}
+
+// 统计盘面上某个数字的3x3区域中填充和未知的单元格数（盘面中1填充，0空白，-1未知）
+function countClueCells(board, row, col) {
+    let filled = 0;
+    let unknown = 0;
+    get3x3Area(row, col, board.length, board[0].length).forEach(([r, c]) => {
+        if (board[r][c] === 1) filled++;
+        else if (board[r][c] === -1) unknown++;
+    });
+    return { filled: filled, unknown: unknown };
+}
+
+// 获取3x3区域的所有位置（包括中心）
+function get3x3Area(row, col, rows, cols) {
+    const area = [];
+
+    // 3x3区域的所有相对位置（包括中心[0,0]）
+    const directions = [
+        [-1, -1], [-1, 0], [-1, 1],
+        [0, -1],  [0, 0],  [0, 1],
+        [1, -1],  [1, 0],  [1, 1]
+    ];
+
+    directions.forEach(([dr, dc]) => {
+        const newRow = row + dr;
+        const newCol = col + dc;
+        if (newRow >= 0 && newRow < rows && newCol >= 0 && newCol < cols) {
+            area.push([newRow, newCol]);
+        }
+    });
+
+    return area;
+}
+
+
+
+// 马赛克约束传播主函数（增强版，包含回溯搜索）
+// options.session为求解会话（不传时按options创建），options.partialCallback会在回溯搜索开始前
+// 收到基础约束传播确定的单元格（回溯搜索中的盘面含有猜测，不作为部分解）
+// 返回 { solution, partial, stats }：solution中未知单元格按空白处理，partial中未知单元格保持为-1，
+// stats为统计报告（见SolverSession.getStats）
+function mosaicConstraintPropagation(solution, constraintGrid, progressCallback = null, options = {}) {
+    return runChunks(mosaicConstraintPropagationChunks(solution, constraintGrid, progressCallback, options));
+}
+
+// mosaicConstraintPropagation的分块实现（生成器，返回值为求解结果）
+function* mosaicConstraintPropagationChunks(solution, constraintGrid, progressCallback = null, options = {}) {
+    debugLog("🧠 开始马赛克增强求解算法...");
+
+    const session = options.session || new SolverSession(options);
+    const partialCallback = options.partialCallback || null;
+
+    // 计算总单元格数
+    const totalCells = solution.length * solution[0].length;
+    let currentProgress = 0;
+
+    // 进度更新函数
+    function updateProgress(currentSolution = null) {
+        // 使用传入的解决方案或默认的solution
+        const solutionToCheck = currentSolution || solution;
+        const resolvedCells = solutionToCheck.flat().filter(cell => cell !== -1).length;
+        currentProgress = Math.round((resolvedCells / totalCells) * 100);
+
+        debugLog(`📊 进度更新: ${resolvedCells}/${totalCells} = ${currentProgress}%`);
+
+        if (progressCallback) {
+            progressCallback(currentProgress, resolvedCells, totalCells);
+        }
+    }
+
+    // 生成返回结果（统计基于未知单元格替换为空白之前的解）
+    function buildResult(finalSolution) {
+        return {
+            solution: finalSolution.map(row => row.map(cell => cell === -1 ? 0 : cell)),
+            partial: finalSolution,
+            stats: session.getStats(finalSolution, options.givens || null)
+        };
+    }
+
+    // 首先尝试纯约束传播
+    const basicSolution = basicConstraintPropagation(solution, constraintGrid, session, (currentSol) => updateProgress(currentSol));
+
+    // 检查是否因安全限制而停止
+    if (session.shouldStop()) {
+        debugLog("⚠️ 约束传播因安全限制而停止");
+        updateProgress(basicSolution);
+        return buildResult(basicSolution);
+    }
+
+    // 更新进度
+    updateProgress(basicSolution);
+
+    // 检查是否完全求解
+    if (isCompletelyResolved(basicSolution)) {
+        debugLog("🎉 纯约束传播成功解决拼图！");
+        if (progressCallback) {
+            progressCallback(100, totalCells, totalCells);
+        }
+        return buildResult(basicSolution);
+    }
+
+    // 如果约束传播无法完全解决，使用回溯搜索
+    if (partialCallback) {
+        partialCallback(basicSolution.map(row => [...row]));
+    }
+    debugLog("🔍 约束传播未能完全解决，启动回溯搜索...");
+    const backtrackSolution = yield* backtrackSolve(basicSolution, constraintGrid, session, (currentSol) => updateProgress(currentSol));
+
+    if (backtrackSolution && !session.shouldStop()) {
+        debugLog("🎉 回溯搜索成功解决拼图！");
+        updateProgress(backtrackSolution); // 确保显示100%
+        return buildResult(backtrackSolution);
+    } else {
+        const reason = session.isTimeoutExceeded ? "超时" : "无解或达到安全限制";
+        debugLog(`❌ 回溯搜索停止: ${reason}`);
+        updateProgress(backtrackSolution || basicSolution); // 最终进度更新
+        return buildResult(basicSolution);
+    }
+}
+
+
+// 基础约束传播（原来的逻辑）
+function basicConstraintPropagation(solution, constraintGrid, session, progressCallback = null) {
+    let iterationCount = 0;
+    let changed = true;
+    const workingSolution = solution.map(row => [...row]);
+    const clueCount = constraintGrid.flat().filter(cell => cell !== null).length;
+
+    while (changed && !session.shouldStop()) {
+        iterationCount++;
+        session.stats.propagationRounds++;
+        session.stats.revisions += clueCount; // 每轮检查所有数字约束
+        debugLog(`🔄 基础约束传播迭代 ${iterationCount}`);
+
+        changed = analyzeConstraints(constraintGrid, workingSolution);
+
+        // 单个约束无法推进时，尝试重叠约束推理
+        if (!changed) {
+            changed = analyzeOverlapConstraints(constraintGrid, workingSolution);
+        }
+
+        // 更新进度
+        if (progressCallback) {
+            progressCallback(workingSolution);
+        }
+
+        if (!changed) {
+            debugLog("🏁 基础约束传播收敛");
+            break;
+        }
+
+        // 防止无限循环（已由安全管理器处理，但保留作为双重保护）
+        if (iterationCount > 100) {
+            debugLog("⚠️ 达到传播迭代上限，停止基础传播");
+            break;
+        }
+    }
+
+    if (session.shouldStop()) {
+        debugLog(`⚠️ 基础约束传播因安全限制停止（迭代${iterationCount}次）`);
+    } else {
+        debugLog(`✅ 基础约束传播完成，共进行 ${iterationCount} 次迭代`);
+    }
+    return workingSolution;
+}
+
+// 检查解是否完全确定
+function isCompletelyResolved(solution) {
+    return solution.every(row => row.every(cell => cell !== -1));
+}
+
+
+// 回溯搜索算法（生成器，和macBacktrack一样分块运行）
+function* backtrackSolve(solution, constraintGrid, session, progressCallback = null) {
+    if (session.chunkDue()) {
+        yield;
+    }
+
+    // 安全检查：检查是否应该停止
+    if (session.shouldStop()) {
+        debugLog("⚠️ 回溯搜索因安全限制而停止");
+        return null;
+    }
+
+    // 安全检查：递归深度控制
+    if (session.enterRecursion()) {
+        debugLog("⚠️ 递归深度超限，返回");
+        session.exitRecursion();
+        return null;
+    }
+
+    session.stats.nodes++;
+
+    // 创建工作副本
+    const workingSolution = solution.map(row => [...row]);
+
+    // 查找最佳的未确定单元格（优先选择受约束最多的）
+    const unknownCell = findBestUnknownCell(workingSolution, constraintGrid);
+    if (!unknownCell) {
+        // 没有未知单元格，检查解是否有效
+        const isValid = isValidSolution(workingSolution, constraintGrid);
+        session.exitRecursion();
+        return isValid ? workingSolution : null;
+    }
+
+    const [row, col] = unknownCell;
+    debugLog(`🎯 回溯搜索尝试单元格 (${row}, ${col}) [深度: ${session.currentDepth}]`);
+
+    // 按配置选择值的尝试顺序
+    const strategy = session.options.valueOrder;
+    const valueOrder = strategy === 'smart' ? getSmartValueOrder(row, col, workingSolution, constraintGrid) :
+        strategy === 'fill-first' ? [1, 0] : [0, 1];
+
+    for (const value of valueOrder) {
+        // 再次检查安全限制
+        if (session.shouldStop()) {
+            debugLog("⚠️ 在值尝试循环中检测到安全限制");
+            break;
+        }
+
+        debugLog(`   尝试值: ${value === 1 ? '填充' : '空白'}`);
+
+        // 设置假设值
+        workingSolution[row][col] = value;
+
+        // 更新进度
+        if (progressCallback) {
+            progressCallback(workingSolution);
+        }
+
+        // 检查当前假设是否与约束冲突
+        if (isConsistentWithConstraints(workingSolution, constraintGrid)) {
+            // 应用约束传播
+            const propagatedSolution = basicConstraintPropagation(workingSolution, constraintGrid, session, progressCallback);
+
+            // 检查传播后是否仍然一致且未超时
+            if (!session.shouldStop() && isConsistentWithConstraints(propagatedSolution, constraintGrid)) {
+                // 递归求解
+                const result = yield* backtrackSolve(propagatedSolution, constraintGrid, session, progressCallback);
+                if (result) {
+                    session.stats.cellsByBranching++; // 找到解的路径上，这个单元格是分支确定的
+                    session.exitRecursion();
+                    return result;
+                }
+            }
+        }
+
+        // 回溯：撤销假设
+        workingSolution[row][col] = -1;
+        session.stats.backtracks++;
+
+        // 回溯时也更新进度
+        if (progressCallback) {
+            progressCallback(workingSolution);
+        }
+    }
+
+    debugLog(`❌ 单元格 (${row}, ${col}) 的所有假设都失败 [深度: ${session.currentDepth}]`);
+    session.exitRecursion();
+    return null;
+}
+
+// 查找最佳的未确定单元格（智能选择策略）
+function findBestUnknownCell(solution, constraintGrid) {
+    const rows = solution.length;
+    const cols = solution[0].length;
+    let bestCell = null;
+    let maxConstraints = -1;
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (solution[r][c] === -1) {
+                // 计算影响这个单元格的约束数量
+                const constraintCount = countAffectingConstraints(r, c, constraintGrid);
+
+                if (constraintCount > maxConstraints) {
+                    maxConstraints = constraintCount;
+                    bestCell = [r, c];
+                }
+            }
+        }
+    }
+
+    return bestCell;
+}
+
+// 计算影响指定单元格的约束数量
+function countAffectingConstraints(row, col, constraintGrid) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+    let count = 0;
+
+    // 检查所有可能包含这个单元格的3x3区域
+    for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(cols - 1, col + 1); c++) {
+            if (constraintGrid[r][c] !== null) {
+                count++;
+            }
+        }
+    }
+
+    return count;
+}
+
+// 智能选择值的尝试顺序
+function getSmartValueOrder(row, col, solution, constraintGrid) {
+    // 分析周围约束，预测哪个值更可能正确
+    let fillScore = 0;
+    let emptyScore = 0;
+
+    // 检查影响这个单元格的所有约束
+    for (let r = Math.max(0, row - 1); r <= Math.min(solution.length - 1, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(solution[0].length - 1, col + 1); c++) {
+            const requiredCount = constraintGrid[r][c];
+            if (requiredCount !== null) {
+                const area3x3 = get3x3Area(r, c, solution.length, solution[0].length);
+
+                let filledCount = 0;
+                let unknownCount = 0;
+
+                area3x3.forEach(([ar, ac]) => {
+                    if (ar === row && ac === col) return; // 跳过当前位置
+                    const state = solution[ar][ac];
+                    if (state === 1) filledCount++;
+                    else if (state === -1) unknownCount++;
+                });
+
+                // 如果还需要更多填充，倾向于填充
+                if (filledCount < requiredCount) {
+                    fillScore += (requiredCount - filledCount);
+                }
+
+                // 如果已经足够，倾向于空白
+                if (filledCount >= requiredCount) {
+                    emptyScore += 2;
+                }
+            }
+        }
+    }
+
+    // 根据评分决定尝试顺序
+    if (fillScore > emptyScore) {
+        debugLog(`   智能选择: 优先尝试填充 (评分: 填充=${fillScore}, 空白=${emptyScore})`);
+        return [1, 0];
+    } else {
+        debugLog(`   智能选择: 优先尝试空白 (评分: 填充=${fillScore}, 空白=${emptyScore})`);
+        return [0, 1];
+    }
+}
+
+// 查找第一个未确定的单元格（简单策略，保留作为备用）
+function findFirstUnknownCell(solution) {
+    for (let r = 0; r < solution.length; r++) {
+        for (let c = 0; c < solution[0].length; c++) {
+            if (solution[r][c] === -1) {
+                return [r, c];
+            }
+        }
+    }
+    return null;
+}
+
+// 检查解是否与所有约束一致
+function isConsistentWithConstraints(solution, constraintGrid) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (constraintGrid[r][c] !== null) {
+                // 检查约束是否可能满足
+                const { filled, unknown } = countClueCells(solution, r, c);
+                if (clueStatus(constraintGrid[r][c], filled, unknown) === 'violated') {
+                    return false;
+                }
+            }
+        }
+    }
+    return true;
+}
+
+// 检查完整解是否有效
+function isValidSolution(solution, constraintGrid) {
+    const rows = constraintGrid.length;
+    const cols = constraintGrid[0].length;
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (constraintGrid[r][c] !== null) {
+                const requiredCount = constraintGrid[r][c];
+                const area3x3 = get3x3Area(r, c, rows, cols);
+
+                const filledCount = area3x3.reduce((count, [ar, ac]) => {
+                    return count + (solution[ar][ac] === 1 ? 1 : 0);
+                }, 0);
+
+                if (filledCount !== requiredCount) {
+                    return false;
+                }
+            }
+        }
+    }
+    return true;
+}
+
+// ==================== 步骤演示：逐步产生CSP求解事件 ====================
+
+// 工具函数：约束在步骤事件中的描述
+function stepClueInfo(constraint) {
+    return { row: constraint.centerRow, col: constraint.centerCol, count: constraint.requiredCount };
+}
+
+// 工具函数：单元格取值的文字说明
+function stepValueText(value) {
+    return value === 1 ? '填充' : '为空白';
+}
+
+/**
+ * 逐个单元格的基数传播（propagateCardinality的步骤版本，规则相同）
+ * 每确定一个单元格产生一个'propagate'事件，说明是哪个数字推出的；
+ * 生成器的返回值为false表示出现矛盾（矛盾的约束记录在csp.lastConflict中）
+ */
+function* propagateCardinalitySteps(csp, changedVariables, session) {
+    session.stats.propagationRounds++;
+
+    const variableQueue = changedVariables ? [...changedVariables] : [];
+    const constraintQueue = changedVariables ? [] : Array.from(csp.constraints.values());
+    const queued = new Set(constraintQueue);
+
+    while (variableQueue.length > 0 || constraintQueue.length > 0) {
+        while (variableQueue.length > 0) {
+            const variable = variableQueue.shift();
+            for (const constraint of variable.constraints) {
+                if (!queued.has(constraint)) {
+                    queued.add(constraint);
+                    constraintQueue.push(constraint);
+                }
+            }
+        }
+
+        if (constraintQueue.length === 0) break;
+
+        const constraint = constraintQueue.shift();
+        queued.delete(constraint);
+        session.stats.revisions++;
+
+        const { filledCount, unknownCount, requiredCount } = constraint;
+        const status = clueStatus(requiredCount, filledCount, unknownCount);
+        if (status === 'violated') {
+            csp.lastConflict = constraint;
+            csp.conflictCounts.set(constraint, (csp.conflictCounts.get(constraint) || 0) + 1);
+            return false;
+        }
+        if (unknownCount === 0) continue;
+
+        // 已满足时其余单元格为空白；剩余的未知单元格恰好够填时全部填充
+        let forcedValue = null;
+        let reason = null;
+        const clueText = `数字${requiredCount} 位于(${constraint.centerRow},${constraint.centerCol})`;
+        if (status === 'satisfied') {
+            forcedValue = 0;
+            reason = `${clueText} 周围已有${filledCount}个填充`;
+        } else if (filledCount + unknownCount === requiredCount) {
+            forcedValue = 1;
+            reason = `${clueText} 还需要${requiredCount - filledCount}个填充，恰好只剩${unknownCount}个未知单元格`;
+        }
+        if (forcedValue === null) continue;
+
+        for (const variable of constraint.variables) {
+            if (variable.isAssigned()) continue;
+
+            csp.assignVariable(variable, forcedValue);
+            variableQueue.push(variable);
+            yield {
+                type: 'propagate',
+                row: variable.row,
+                col: variable.col,
+                value: forcedValue,
+                depth: session.currentDepth,
+                clue: stepClueInfo(constraint),
+                reason: `${reason}，所以(${variable.row},${variable.col})${forcedValue === 1 ? '必须填充' : '必须为空白'}`
+            };
+        }
+    }
+
+    return true;
+}
+
+// 工具函数：由CSP的约束还原数字网格（null表示没有数字），用于重叠推理
+function stepClueGrid(csp) {
+    const constraintGrid = Array(csp.rows).fill().map(() => Array(csp.cols).fill(null));
+    for (const constraint of csp.constraints.values()) {
+        constraintGrid[constraint.centerRow][constraint.centerCol] = constraint.requiredCount;
+    }
+    return constraintGrid;
+}
+
+/**
+ * 基数传播无法推进时的重叠推理（与提示模式的findOverlapDeduction规则相同）
+ * 每次找到一对重叠的数字后，对推出的每个单元格产生一个'overlap'事件（clues为这两个数字），
+ * 再从这些单元格继续基数传播；生成器的返回值为false表示出现矛盾
+ */
+function* overlapSteps(csp, session) {
+    const constraintGrid = stepClueGrid(csp);
+
+    for (;;) {
+        const deduction = findOverlapDeduction(constraintGrid, csp.toSolutionArray());
+        if (!deduction) return true;
+
+        const changedVariables = [];
+        for (const [row, col, value] of deduction.cells) {
+            const variable = csp.getVariable(row, col);
+            if (variable.isAssigned()) continue;
+
+            csp.assignVariable(variable, value);
+            changedVariables.push(variable);
+            yield {
+                type: 'overlap',
+                row: row,
+                col: col,
+                value: value,
+                depth: session.currentDepth,
+                clue: deduction.clues[0],
+                clues: deduction.clues,
+                reason: deduction.reason
+            };
+        }
+
+        if (!(yield* propagateCardinalitySteps(csp, changedVariables, session))) {
+            return false;
+        }
+    }
+}
+
+/**
+ * 分支搜索的步骤版本（与macBacktrack的变量选择、值顺序和回溯方式相同）
+ * 每个节点先做重叠推理，每次猜测产生'branch'事件，猜测失败恢复状态时产生'backtrack'事件（cells为重新变为未知的单元格）；
+ * 生成器的返回值为true表示找到解
+ */
+function* searchSteps(csp, session) {
+    if (session.shouldStop()) {
+        return false;
+    }
+    if (session.enterRecursion()) {
+        session.exitRecursion();
+        return false;
+    }
+    session.stats.nodes++;
+
+    // 先用重叠推理确定能推出的单元格，只有仍然无法推进时才猜测
+    if (!(yield* overlapSteps(csp, session))) {
+        session.exitRecursion();
+        return false;
+    }
+
+    if (csp.isComplete()) {
+        session.exitRecursion();
+        return true;
+    }
+
+    const variable = csp.getMostConstrainedVariable();
+
+    // 剩下的单元格都不受任何数字影响，直接设为空白
+    if (variable.constraints.size === 0) {
+        for (const freeVariable of csp.variables.values()) {
+            if (freeVariable.isAssigned()) continue;
+
+            csp.assignVariable(freeVariable, 0);
+            yield {
+                type: 'propagate',
+                row: freeVariable.row,
+                col: freeVariable.col,
+                value: 0,
+                depth: session.currentDepth,
+                clue: null,
+                reason: `(${freeVariable.row},${freeVariable.col})周围没有任何数字，设为空白`
+            };
+        }
+        session.exitRecursion();
+        return true;
+    }
+
+    const { row, col } = variable;
+    const values = getOrderedValues(variable, csp, session.options.valueOrder);
+
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        const savedState = saveCSPState(csp);
+
+        csp.assignVariable(variable, value);
+        yield {
+            type: 'branch',
+            row: row,
+            col: col,
+            value: value,
+            depth: session.currentDepth,
+            clue: null,
+            reason: i === 0 ?
+                `没有可以直接推出的单元格，猜测(${row},${col})${stepValueText(value)}（第${session.currentDepth}层）` :
+                `(${row},${col})${stepValueText(values[0])}行不通，改为${stepValueText(value)}（第${session.currentDepth}层）`
+        };
+
+        const consistent = yield* propagateCardinalitySteps(csp, [variable], session);
+        const conflict = consistent ? null : csp.lastConflict;
+        if (consistent && (yield* searchSteps(csp, session))) {
+            session.stats.cellsByBranching++;
+            session.exitRecursion();
+            return true;
+        }
+
+        // 因安全限制停止时直接返回，不再逐层回溯
+        if (session.hasHitLimit()) {
+            session.exitRecursion();
+            return false;
+        }
+
+        const clearedCells = [];
+        for (const [key, saved] of savedState.variables) {
+            const current = csp.variables.get(key);
+            if (saved.value === -1 && current.value !== -1) {
+                clearedCells.push([current.row, current.col]);
+            }
+        }
+        restoreCSPState(csp, savedState);
+        session.stats.backtracks++;
+
+        yield {
+            type: 'backtrack',
+            row: row,
+            col: col,
+            value: value,
+            depth: session.currentDepth,
+            cells: clearedCells,
+            clue: conflict ? stepClueInfo(conflict) : null,
+            reason: (conflict ?
+                `数字${conflict.requiredCount} 位于(${conflict.centerRow},${conflict.centerCol})出现矛盾，` :
+                `猜测(${row},${col})${stepValueText(value)}之后无法完成，`) +
+                `撤销这次猜测，恢复${clearedCells.length}个单元格`
+        };
+    }
+
+    session.exitRecursion();
+    return false;
+}
+
+/**
+ * 步骤演示的事件序列：先对所有约束做一次传播，再分支搜索，直到求解完成
+ * 每个事件 { type, row, col, value, depth, clue, reason } 对应一个单元格的变化：
+ * - 'propagate': 由数字推出，clue为推出它的数字（周围没有数字的单元格为null）
+ * - 'overlap': 由两个重叠的数字推出，clues为这两个数字（clue为其中第一个）
+ * - 'branch': 无法推出时的猜测
+ * - 'backtrack': 猜测导致矛盾后撤销，cells为重新变为未知的单元格，clue为出现矛盾的数字
+ * 最后一个事件为'solved'、'unsolvable'或'stopped'（达到节点或深度限制）
+ */
+function* mosaicStepEvents(csp, session) {
+    const consistent = yield* propagateCardinalitySteps(csp, null, session);
+    if (!consistent) {
+        const conflict = csp.lastConflict;
+        yield {
+            type: 'unsolvable',
+            clue: stepClueInfo(conflict),
+            reason: `数字${conflict.requiredCount} 位于(${conflict.centerRow},${conflict.centerCol})无法满足，拼图无解`
+        };
+        return;
+    }
+
+    if (yield* searchSteps(csp, session)) {
+        yield { type: 'solved', clue: null, reason: "拼图完全求解！" };
+    } else if (session.hasHitLimit()) {
+        yield { type: 'stopped', clue: null, reason: `达到求解限制（${session.stopReason}），演示停止` };
+    } else {
+        yield { type: 'unsolvable', clue: null, reason: "所有可能都已尝试，拼图无解" };
+    }
+}
+
+// 步骤演示自动播放时每步之间的默认等待时间（毫秒）
+const STEP_PLAYBACK_DEFAULT_DELAY_MS = 1000;
+
+// 马赛克步骤控制器：每次executeNextStep执行mosaicStepEvents中的一个事件
+// solution为初始盘面（1填充/0空白/-1未知，已知的单元格作为已知条件），options为求解配置（使用节点、深度限制和值顺序，
+// 不限制时间，因为步骤之间在等待用户操作）。
+// 控制器记录每一步改变了哪些单元格（history），可以用previousStep后退或用goToStep跳到任意已经执行过的步骤；
+// 后退之后的executeNextStep按记录重放，不重新求解。
+// play()自动逐步前进（每步之间等待playDelayMs毫秒，0为不等待），pause()暂停，stop()停止并回到演示开始之前。
+// applyCells(filledCells, blankCells, clearedCells)收到每次移动后变为填充、空白和未知的单元格坐标
+// [[row, col], ...]，由调用方决定如何应用（例如在网页上点击），核心本身不接触DOM；
+// 变为未知的单元格应恢复为演示开始前的状态，这样回到第0步时盘面与演示开始前相同
+class MosaicStepController {
+    constructor(solution, constraintGrid, applyCells = null, options = {}) {
+        this.constraintGrid = constraintGrid;
+        this.applyCells = applyCells;
+        this.csp = new MosaicCSP(constraintGrid, solution);
+        this.session = new SolverSession({ ...options, maxTimeMs: Infinity });
+        this.events = mosaicStepEvents(this.csp, this.session);
+        this.board = solution.map(row => [...row]); // 当前显示的步骤对应的盘面
+        this.history = [];  // 每一步 { event, message, changes: [{ row, col, from, to }] }
+        this.position = 0;  // 当前显示到第几步（0为开始演示之前）
+        this.isComplete = false; // 事件已经全部产生
+        this.playDelayMs = options.stepDelayMs !== undefined ? options.stepDelayMs : STEP_PLAYBACK_DEFAULT_DELAY_MS;
+        this.playback = null;   // 自动播放的循环（Promise），没有播放时为null
+        this.playToken = null;  // 当前播放循环的标识，暂停时清空让循环退出
+        this.playTimer = null;
+        this.wakePlayback = null;
+    }
+
+    // 当前显示的步骤对应的（部分）解
+    get solution() {
+        return this.board.map(row => [...row]);
+    }
+
+    // 当前进度：{ step, total, completed }，completed表示显示到了最后一步
+    getProgress() {
+        return {
+            step: this.position,
+            total: this.history.length,
+            completed: this.isComplete && this.position === this.history.length,
+            playing: this.playback !== null
+        };
+    }
+
+    // 设置自动播放每步之间的等待时间（毫秒），播放中修改时从下一步开始生效
+    setSpeed(delayMs) {
+        this.playDelayMs = Math.max(0, delayMs);
+    }
+
+    // 开始自动播放，一直前进到最后一步或被暂停；onStep(result)在每一步之后调用。
+    // 返回播放循环，结束时得到最后一步的结果（已经在播放时直接返回正在进行的循环）
+    play(onStep = null) {
+        if (this.playback) {
+            return this.playback;
+        }
+        if (this.getProgress().completed) {
+            return Promise.resolve(null);
+        }
+
+        const token = {};
+        const run = async () => {
+            let result = null;
+            try {
+                while (this.playToken === token && !this.getProgress().completed) {
+                    result = await this.executeNextStep();
+                    if (onStep) onStep(result);
+                    if (!result.success || result.completed || this.playToken !== token) break;
+
+                    // 等待期间可以被pause()提前唤醒
+                    await new Promise(resolve => {
+                        this.wakePlayback = resolve;
+                        this.playTimer = setTimeout(resolve, this.playDelayMs);
+                    });
+                }
+            } finally {
+                if (this.playToken === token) {
+                    this.playToken = null;
+                    this.playback = null;
+                }
+            }
+            return result;
+        };
+
+        debugLog(`▶️ 开始自动播放（每步间隔${this.playDelayMs}ms）`);
+        this.playToken = token;
+        this.playback = run();
+        return this.playback;
+    }
+
+    // 暂停自动播放：正在执行的一步会完成，返回的Promise在播放循环结束后resolve
+    async pause() {
+        const playback = this.playback;
+        if (!playback) return;
+
+        this.playToken = null;
+        this.playback = null;
+        clearTimeout(this.playTimer);
+        if (this.wakePlayback) {
+            this.wakePlayback();
+            this.wakePlayback = null;
+        }
+        await playback;
+        debugLog("⏸️ 自动播放已暂停");
+    }
+
+    // 停止：暂停播放并回到演示开始之前（网页上的单元格恢复，记录保留，可以重新播放或拖动时间轴）
+    async stop() {
+        await this.pause();
+        return this.goToStep(0);
+    }
+
+    async executeNextStep() {
+        if (this.position < this.history.length) {
+            return this.goToStep(this.position + 1);
+        }
+        if (this.isComplete) {
+            return { success: false, message: "求解已完成", ...this.getProgress() };
+        }
+
+        const { value: event, done } = this.events.next();
+        if (done) {
+            this.isComplete = true;
+            return { success: true, message: "求解已完成", ...this.getProgress() };
+        }
+
+        // 记录这一步改变的单元格（回溯时为撤销的单元格），新的一步总是从最后一步之后产生，this.board即为求解的当前盘面
+        let changes = [];
+        if (event.type === 'propagate' || event.type === 'overlap' || event.type === 'branch') {
+            changes = [{ row: event.row, col: event.col, from: -1, to: event.value }];
+        } else if (event.type === 'backtrack') {
+            changes = event.cells.map(([row, col]) => ({ row: row, col: col, from: this.board[row][col], to: -1 }));
+        }
+        if (event.type === 'solved' || event.type === 'unsolvable' || event.type === 'stopped') {
+            this.isComplete = true;
+        }
+
+        const step = this.history.length + 1;
+        debugLog(`🔄 步骤 ${step} [${event.type}]: ${event.reason}`);
+        this.history.push({ event: event, message: `步骤 ${step}: ${event.reason}`, changes: changes });
+        return this.goToStep(step);
+    }
+
+    // 后退一步，网页上的单元格恢复到上一步之后的状态
+    async previousStep() {
+        if (this.position === 0) {
+            return { success: false, message: "已经是第一步之前", ...this.getProgress() };
+        }
+        return this.goToStep(this.position - 1);
+    }
+
+    // 跳到已经执行过的第step步（0为开始演示之前），只应用净变化的单元格
+    async goToStep(step) {
+        if (!Number.isInteger(step) || step < 0 || step > this.history.length) {
+            return { success: false, message: `无法跳到步骤 ${step}`, ...this.getProgress() };
+        }
+
+        const netChanges = new Map(); // "row,col" -> { row, col, from, to }
+        const recordChange = (row, col, from, to) => {
+            const key = `${row},${col}`;
+            const change = netChanges.get(key) || { row: row, col: col, from: from };
+            change.to = to;
+            netChanges.set(key, change);
+        };
+        while (this.position < step) {
+            for (const { row, col, from, to } of this.history[this.position].changes) {
+                recordChange(row, col, from, to);
+            }
+            this.position++;
+        }
+        while (this.position > step) {
+            this.position--;
+            const changes = this.history[this.position].changes;
+            for (let i = changes.length - 1; i >= 0; i--) {
+                const { row, col, from, to } = changes[i];
+                recordChange(row, col, to, from);
+            }
+        }
+
+        const filledCells = [];
+        const blankCells = [];
+        const clearedCells = [];
+        for (const { row, col, from, to } of netChanges.values()) {
+            this.board[row][col] = to;
+            if (from === to) continue;
+            (to === 1 ? filledCells : to === 0 ? blankCells : clearedCells).push([row, col]);
+        }
+        if (this.applyCells && netChanges.size > 0) {
+            await this.applyCells(filledCells, blankCells, clearedCells);
+        }
+
+        const current = this.position > 0 ? this.history[this.position - 1] : null;
+        return {
+            success: true,
+            message: current ? current.message : "回到了演示开始之前",
+            event: current ? current.event : null,
+            ...this.getProgress()
+        };
+    }
+}
+
+// 公开的接口：求解入口、CSP模型、各个算法步骤和辅助函数
+return {
+    DEFAULT_SOLVER_OPTIONS,
+    SolverSession,
+    CSPVariable,
+    CSPConstraint,
+    MosaicCSP,
+    MosaicStepController,
+    mosaicStepEvents,
+    solveMosaic,
+    solveMosaicAsync,
+    solveMosaicCSP,
+    mosaicConstraintPropagation,
+    enumerateMosaicSolutions,
+    findGivenConflicts,
+    findMinimalUnsatisfiableClues,
+    findNextHint,
+    ac3Algorithm,
+    propagateCardinality,
+    macBacktrackSearch,
+    analyzeConstraints,
+    analyzeOverlapConstraints,
+    createInitialSolution,
+    get3x3Area,
+    clueStatus,
+    countClueCells,
+    isConsistentWithConstraints,
+    isValidSolution,
+    setDebug,
+    isDebugEnabled
+};
+
+});
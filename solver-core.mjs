@@ -0,0 +1,45 @@
+/**
+ * 马赛克拼图求解核心 - ES模块入口
+ *
+ * 实现都在solver-core.js中，这里只是把它的接口按ES模块的方式导出：
+ *   import { solveMosaic } from './solver-core.mjs';
+ *
+ * - 在Node中，solver-core.js作为CommonJS模块加载，接口在默认导出中
+ * - 在浏览器中，solver-core.js作为普通脚本执行，接口挂在全局的MosaicSolverCore上
+ */
+import * as loaded from './solver-core.js';
+
+const core = loaded.default || globalThis.MosaicSolverCore;
+
+export default core;
+
+export const {
+    DEFAULT_SOLVER_OPTIONS,
+    SolverSession,
+    CSPVariable,
+    CSPConstraint,
+    MosaicCSP,
+    MosaicStepController,
+    mosaicStepEvents,
+    solveMosaic,
+    solveMosaicAsync,
+    solveMosaicCSP,
+    mosaicConstraintPropagation,
+    enumerateMosaicSolutions,
+    findGivenConflicts,
+    findMinimalUnsatisfiableClues,
+    findNextHint,
+    ac3Algorithm,
+    propagateCardinality,
+    macBacktrackSearch,
+    analyzeConstraints,
+    analyzeOverlapConstraints,
+    createInitialSolution,
+    get3x3Area,
+    clueStatus,
+    countClueCells,
+    isConsistentWithConstraints,
+    isValidSolution,
+    setDebug,
+    isDebugEnabled
+} = core;
@@ -0,0 +1,134 @@
+/**
+ * Solver Worker - 在后台线程中运行求解算法
+ *
+ * Worker的特点：
+ * - 与网页主线程并行运行，求解再久也不会卡住页面
+ * - 不能访问DOM，只负责计算，通过消息与content script通信
+ * - 由content script通过importScripts先加载solver-core.js（纯求解核心），再加载本文件
+ *
+ * 消息协议：
+ * - 收到 { type: 'solve', jobId, constraintGrid, options, debug }  任务按收到的顺序逐个执行
+ * - 收到 { type: 'cancel', jobId }  取消任务：求解分块运行，下一块开始前发现取消就停下，
+ *   和超时一样发出result（stopReason为'cancelled'），还在排队的任务开始后会立即停下
+ * - 发出 { type: 'progress', jobId, percentage, resolvedCells, totalCells }
+ * - 发出 { type: 'partial', jobId, solution }  搜索开始前由传播确定的单元格（-1表示未知，不含任何猜测）
+ * - 发出 { type: 'result', jobId, solution, partial, solved, timedOut, stopReason, stats, givenConflicts, unsatCore }
+ *   solved表示solution是满足所有数字约束的完整解（否则只是部分解，未确定的单元格在solution中按空白处理，
+ *   在partial中为-1；搜索被停止时partial只含传播确定的单元格），stats为搜索统计
+ *   unsatCore在拼图本身无解时给出互相矛盾的最小数字集合
+ * - 发出 { type: 'error', jobId, message }
+ */
+
+// 调试日志函数
+function debugLog(...args) {
+    if (self.MOSAIC_DEBUG) {
+        console.log(...args);
+    }
+}
+
+// 进度消息的节流间隔：搜索的每个节点都会回调，全部转发会淹没主线程
+const PROGRESS_INTERVAL_MS = 100;
+
+// 等待执行的求解任务，以及各任务的取消标记（jobId -> { aborted }，作为求解会话的signal）
+const jobQueue = [];
+const cancelFlags = new Map();
+let isRunningJobs = false;
+
+// 执行一次求解任务（分块求解，块与块之间可以收到取消消息）
+async function runSolveJob(message) {
+    const { jobId, constraintGrid, options = {} } = message;
+    self.MOSAIC_DEBUG = message.debug || false;
+    MosaicSolverCore.setDebug(self.MOSAIC_DEBUG);
+
+    debugLog(`🧵 Worker开始求解任务 #${jobId}`);
+
+    let lastProgressTime = 0;
+
+    const progressCallback = (percentage, resolvedCells, totalCells) => {
+        const now = Date.now();
+        if (percentage < 100 && now - lastProgressTime < PROGRESS_INTERVAL_MS) return;
+        lastProgressTime = now;
+
+        self.postMessage({
+            type: 'progress',
+            jobId: jobId,
+            percentage: percentage,
+            resolvedCells: resolvedCells,
+            totalCells: totalCells
+        });
+    };
+
+    const partialCallback = (solution) => {
+        self.postMessage({ type: 'partial', jobId: jobId, solution: solution });
+    };
+
+    let givenConflicts = null;
+    let unsatCore = null;
+    const session = new MosaicSolverCore.SolverSession({ ...options, signal: cancelFlags.get(jobId) });
+    const { solution, partial, stats } = await MosaicSolverCore.solveMosaicAsync(constraintGrid, progressCallback, {
+        ...options,
+        session: session,
+        partialCallback: partialCallback,
+        givenConflictCallback: (conflicts) => {
+            givenConflicts = conflicts;
+        },
+        unsatCoreCallback: (core) => {
+            unsatCore = core;
+        }
+    });
+
+    self.postMessage({
+        type: 'result',
+        jobId: jobId,
+        solution: solution,
+        partial: partial,
+        solved: MosaicSolverCore.isValidSolution(solution, constraintGrid),
+        timedOut: session.isTimeoutExceeded,
+        stopReason: session.stopReason,
+        stats: stats,
+        givenConflicts: givenConflicts,
+        unsatCore: unsatCore
+    });
+
+    debugLog(`🧵 Worker完成求解任务 #${jobId}${session.stopReason === 'cancelled' ? '（已取消）' : ''}`);
+}
+
+// 依次执行队列中的任务，同一时间只运行一个求解
+async function runQueuedJobs() {
+    if (isRunningJobs) return;
+    isRunningJobs = true;
+
+    while (jobQueue.length > 0) {
+        const message = jobQueue.shift();
+        try {
+            await runSolveJob(message);
+        } catch (error) {
+            console.error("Worker求解时出错:", error);
+            self.postMessage({
+                type: 'error',
+                jobId: message.jobId,
+                message: error.message
+            });
+        }
+        cancelFlags.delete(message.jobId);
+    }
+
+    isRunningJobs = false;
+}
+
+// 监听来自content script的消息
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    if (message.type === 'solve') {
+        cancelFlags.set(message.jobId, { aborted: false });
+        jobQueue.push(message);
+        runQueuedJobs();
+    } else if (message.type === 'cancel') {
+        const flag = cancelFlags.get(message.jobId);
+        if (flag) {
+            flag.aborted = true;
+            debugLog(`🧵 Worker收到取消任务 #${message.jobId}`);
+        }
+    }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveMosaic, solveMosaicAsync } = require('../solver-core.js');
+const { makePuzzle, loadContentScript } = require('./helpers');
+
+// 一个在几秒内解不出来的拼图，求解会一直运行到被取消
+const HARD_PUZZLE = makePuzzle(12, 12, 0.4, 13).grid;
+const CANCEL_AFTER_MS = 100;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 分块求解在块与块之间让出线程，因此运行中途设置的取消信号能够让搜索停下
+for (const engine of ['csp', 'propagation']) {
+    test(`the ${engine} engine stops between chunks when its signal is aborted`, async () => {
+        const controller = new AbortController();
+        let rootPartial = null;
+        setTimeout(() => controller.abort(), CANCEL_AFTER_MS);
+
+        const { partial, stats } = await solveMosaicAsync(HARD_PUZZLE, null, {
+            engine: engine,
+            maxTimeMs: 20000,
+            signal: controller.signal,
+            partialCallback: solution => {
+                rootPartial = solution;
+            }
+        });
+
+        assert.strictEqual(stats.stopReason, 'cancelled');
+        assert.ok(stats.wallTimeMs < 2000, `取消后仍运行了${stats.wallTimeMs}毫秒`);
+        // 停下时搜索回到根节点，部分解只含传播确定的单元格
+        assert.strictEqual(JSON.stringify(partial), JSON.stringify(rootPartial));
+    });
+}
+
+test('stopping a solve on the main thread applies only the proven cells', async () => {
+    const page = loadContentScript(HARD_PUZZLE);
+    // 只运行根节点的传播，得到不含猜测的单元格
+    let rootPartial = null;
+    solveMosaic(HARD_PUZZLE, null, {
+        maxNodes: 1,
+        partialCallback: solution => {
+            rootPartial = solution;
+        }
+    });
+
+    const finished = page.waitFor('solve_finished');
+    const started = await page.send({ action: 'solve_puzzle' });
+    await wait(CANCEL_AFTER_MS);
+    const cancel = await page.send({ action: 'cancel_solve', jobId: started.jobId, applyPartial: true });
+    assert.ok(cancel.success, cancel.message);
+
+    const result = await finished;
+    assert.strictEqual(result.status, 'cancelled');
+    assert.strictEqual(result.stats.stopReason, 'cancelled');
+
+    const board = page.board();
+    rootPartial.forEach((row, r) => row.forEach((value, c) => {
+        assert.strictEqual(board.get(`${r},${c}`), value === 1 ? 'filled' : 'empty', `单元格(${r},${c})`);
+    }));
+});
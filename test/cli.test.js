@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePuzzleInput } = require('../bin/mosaic-solve.js');
+
+test('plain grids accept - and _ as no-clue cells and # comment lines', () => {
+    const { clues, state } = parsePuzzleInput('# 3x3\n1 - 1\n_ 3 .\n1.1\n');
+    assert.deepStrictEqual(clues, [[1, null, 1], [null, 3, null], [1, null, 1]]);
+    assert.strictEqual(state, null);
+});
+
+test('# in a [state] section is a filled cell, not a comment', () => {
+    const { clues, state } = parsePuzzleInput('[clues]\n. . .\n. 1 .\n. . .\n[state]\n# x x\nx x x\nx x x\n');
+    assert.strictEqual(clues[1][1], 1);
+    assert.deepStrictEqual(state[0], [1, 0, 0]);
+});
+
+test('words that only look like task strings are not solved as puzzles', () => {
+    assert.throws(() => parsePuzzleInput('abc\n'), /无法识别的提示/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveMosaicCSP, isValidSolution } = require('../solver-core.js');
+
+function enumerate(grid, maxSolutions, options = {}) {
+    return solveMosaicCSP(grid, null, { ...options, enumerate: true, maxSolutions: maxSolutions });
+}
+
+// 只有中心一个数字1的3x3拼图：9个单元格中恰好一个填充，共9个解
+const ONE_OF_NINE = [[null, null, null], [null, 1, null], [null, null, null]];
+
+test('counts every solution when the cap is not reached', () => {
+    const report = enumerate(ONE_OF_NINE, 20);
+    assert.strictEqual(report.status, 'multiple');
+    assert.strictEqual(report.solutionCount, 9);
+    assert.ok(report.exhausted);
+    assert.strictEqual(new Set(report.solutions.map(solution => solution.flat().join(''))).size, 9);
+    report.solutions.forEach(solution => assert.ok(isValidSolution(solution, ONE_OF_NINE)));
+});
+
+test('stops at the solution cap', () => {
+    const report = enumerate(ONE_OF_NINE, 3);
+    assert.strictEqual(report.solutionCount, 3);
+    assert.ok(report.capped);
+    assert.strictEqual(report.message, "3个解（已达上限，可能更多）");
+});
+
+test('unique, none and a cap of one are reported separately', () => {
+    const givens = [[-1, 0, 0], [0, 0, 0], [0, 0, 0]];
+    assert.strictEqual(enumerate(ONE_OF_NINE, 2, { givens: givens }).status, 'unique');
+    assert.strictEqual(enumerate([[5]], 2).status, 'none');
+
+    const capped = enumerate(ONE_OF_NINE, 1);
+    assert.strictEqual(capped.status, 'unknown');
+    assert.ok(capped.capped);
+    assert.doesNotMatch(capped.message, /安全限制/);
+});
+
+test('a search stopped by a limit says so', () => {
+    const report = enumerate(ONE_OF_NINE, 20, { maxNodes: 3 });
+    assert.ok(!report.capped && !report.exhausted);
+    assert.match(report.message, /安全限制/);
+});
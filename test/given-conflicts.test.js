@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveMosaicCSP, findGivenConflicts } = require('../solver-core.js');
+const { makePuzzle } = require('./helpers');
+
+// 一个有很多解的拼图及其全部解
+function ambiguousPuzzle(seed) {
+    const { grid } = makePuzzle(5, 5, 0.3, seed);
+    const { solutions, exhausted } = solveMosaicCSP(grid, null, { enumerate: true, maxSolutions: 500 });
+    return { grid, solutions, exhausted };
+}
+
+// 只保留给定的玩家单元格时是否有解
+function isSatisfiable(grid, cells) {
+    const givens = grid.map(row => row.map(() => -1));
+    cells.forEach(({ row, col, given }) => {
+        givens[row][col] = given;
+    });
+    return solveMosaicCSP(grid, null, { givens: givens, enumerate: true, maxSolutions: 1 }).solutions.length > 0;
+}
+
+test('only the wrong cell is reported when the other cells fit one of many solutions', () => {
+    const { grid, solutions, exhausted } = ambiguousPuzzle(4);
+    assert.ok(exhausted && solutions.length > 1);
+
+    // 玩家按其中一个解填了所有不确定的单元格（这些都没有错），再把一个所有解都相同的单元格填反
+    const chosen = solutions[solutions.length - 1];
+    const varies = (r, c) => solutions.some(solution => solution[r][c] !== chosen[r][c]);
+    const givens = chosen.map((row, r) => row.map((value, c) => (varies(r, c) ? value : -1)));
+    const forced = [];
+    chosen.forEach((row, r) => row.forEach((value, c) => {
+        if (!varies(r, c)) forced.push({ row: r, col: c, value: value });
+    }));
+    assert.ok(forced.length > 0);
+
+    for (const { row, col, value } of forced) {
+        const board = givens.map(line => [...line]);
+        board[row][col] = 1 - value;
+        assert.deepStrictEqual(findGivenConflicts(grid, board),
+            [{ row: row, col: col, given: 1 - value, expected: value }], `单元格(${row},${col})`);
+    }
+});
+
+test('cells that only conflict together are reported as a minimal set', () => {
+    let checked = 0;
+    for (let seed = 1; seed <= 30; seed++) {
+        const { grid, solutions, exhausted } = ambiguousPuzzle(seed);
+        if (!exhausted || solutions.length < 2) continue;
+
+        // 上半部分按第一个解填，下半部分按最后一个解填：每个单元格单独看都可能正确，放在一起可能矛盾
+        const first = solutions[0];
+        const last = solutions[solutions.length - 1];
+        const board = first.map((row, r) => row.map((value, c) => (r < 2 ? value : last[r][c])));
+        if (isSatisfiable(grid, board.flatMap((row, r) => row.map((given, c) => ({ row: r, col: c, given }))))) {
+            continue;
+        }
+
+        const conflicts = findGivenConflicts(grid, board);
+        assert.ok(conflicts.length > 1, `种子${seed}`);
+        assert.ok(!isSatisfiable(grid, conflicts), `种子${seed}: 报告的单元格应当互相矛盾`);
+        conflicts.forEach((conflict, index) => {
+            const others = conflicts.filter((_, other) => other !== index);
+            assert.ok(isSatisfiable(grid, others), `种子${seed}: 单元格(${conflict.row},${conflict.col})不可缺少`);
+        });
+        checked++;
+    }
+    assert.ok(checked > 0);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectGridGeometry } = require('../grid-geometry.js');
+
+// 生成rows x cols的单元格位置（间距pitch像素，从(offset, offset)开始）
+function gridPositions(rows, cols, pitch, offset = 50) {
+    const positions = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            positions.push({ x: offset + c * pitch, y: offset + r * pitch });
+        }
+    }
+    return positions;
+}
+
+test('detects a plain grid', () => {
+    const geometry = detectGridGeometry(gridPositions(10, 10, 31));
+    assert.strictEqual(geometry.rows, 10);
+    assert.strictEqual(geometry.cols, 10);
+    assert.strictEqual(geometry.rowPitch, 31);
+    assert.ok(geometry.complete);
+});
+
+test('a stray cell far from the grid is reported instead of merging the rows', () => {
+    const positions = gridPositions(10, 10, 31);
+    positions.push({ x: 50 + 3 * 31, y: 2000 });
+    const geometry = detectGridGeometry(positions);
+
+    assert.strictEqual(geometry.rows, 10);
+    assert.strictEqual(geometry.cols, 10);
+    assert.deepStrictEqual(geometry.misfits, [100]);
+    assert.deepStrictEqual(geometry.cells[31], { row: 3, col: 1 });
+});
+
+test('a stray cell next to a two-row grid does not merge the rows', () => {
+    const positions = gridPositions(2, 5, 31);
+    positions.push({ x: 50, y: 2000 });
+    const geometry = detectGridGeometry(positions);
+
+    assert.strictEqual(geometry.rows, 2);
+    assert.deepStrictEqual(geometry.misfits, [10]);
+});
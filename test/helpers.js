@@ -0,0 +1,187 @@
+/**
+ * 测试用的公共工具：生成可重复的随机拼图，在Node中加载扩展的接入层
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// 工具函数：可重复的伪随机数（线性同余）
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// 生成随机拼图：board为随机的答案，grid中按density的比例给出数字
+function makePuzzle(rows, cols, density, seed) {
+    const random = createRandom(seed);
+    const board = Array.from({ length: rows }, () => Array.from({ length: cols }, () => (random() < 0.5 ? 1 : 0)));
+    const grid = board.map((row, r) => row.map((_, c) => {
+        if (random() > density) return null;
+        let count = 0;
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const nr = r + dr;
+                const nc = c + dc;
+                if (nr >= 0 && nr < rows && nc >= 0 && nc < cols) count += board[nr][nc];
+            }
+        }
+        return count;
+    }));
+    return { board, grid };
+}
+
+// 在独立的上下文中加载solver-core.js和mosaic-solver.js，
+// 用一个Map代替网页：setCellsByCoordinates直接修改page中的单元格状态
+function loadExtensionGlue(page) {
+    const context = { console, setTimeout, clearTimeout };
+    context.self = context;
+    context.globalThis = context;
+    vm.createContext(context);
+    for (const file of ['solver-core.js', 'mosaic-solver.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    vm.runInContext("const CELL_STATE_CYCLE = ['empty', 'filled', 'marked'];", context);
+    context.setCellsByCoordinates = async (coordinates, puzzleData, state) => {
+        for (const [row, col] of coordinates) {
+            page.set(`${row},${col}`, state);
+        }
+        return { changed: coordinates.length, failed: [] };
+    };
+    return context;
+}
+
+// 把page转换为content.js中的puzzleData格式（只用到row、col和state）
+function pageToPuzzleData(page) {
+    return [...page].map(([key, state]) => {
+        const [row, col] = key.split(',').map(Number);
+        return { row, col, state };
+    });
+}
+
+// 网站单元格的CSS类名，点击时按 空白 → 填充 → 标记 循环
+const CELL_CLASSES = { empty: 'cell selectable', filled: 'cell selectable cell-on', marked: 'cell selectable cell-x' };
+const CELL_CYCLE = ['empty', 'filled', 'marked'];
+const CELL_PITCH_PX = 31;
+
+// 模拟网页上的一个单元格：点击后稍晚改变状态并通知正在监听它的MutationObserver
+function createFakeCell(row, col, clue) {
+    const cell = {
+        state: 'empty',
+        observers: [],
+        nodeType: 1,
+        style: {},
+        get className() {
+            return CELL_CLASSES[cell.state];
+        },
+        getAttribute: () => `top: ${row * CELL_PITCH_PX}px; left: ${col * CELL_PITCH_PX}px;`,
+        getBoundingClientRect: () => ({
+            top: row * CELL_PITCH_PX, left: col * CELL_PITCH_PX, width: CELL_PITCH_PX - 1, height: CELL_PITCH_PX - 1
+        }),
+        querySelector: () => (clue === null ? null : { textContent: String(clue), style: {} }),
+        dispatchEvent(event) {
+            if (event.type !== 'click') return;
+            setTimeout(() => {
+                cell.state = CELL_CYCLE[(CELL_CYCLE.indexOf(cell.state) + 1) % CELL_CYCLE.length];
+                cell.observers.forEach(notify => notify());
+            }, 1);
+        }
+    };
+    return cell;
+}
+
+// 在独立的上下文中加载全部内容脚本，网页换成grid对应的模拟单元格（没有Worker，在主线程求解）
+// 返回 { send(message), waitFor(action), board(), play(row, col, state) }：send模拟popup发来的消息，
+// waitFor等待内容脚本发给popup的下一条某种消息，board()为网页上的盘面（"row,col" -> 状态），
+// play直接修改单元格，模拟玩家自己的操作
+function loadContentScript(grid, settings = {}) {
+    const cells = [];
+    grid.forEach((row, r) => row.forEach((clue, c) => cells.push(createFakeCell(r, c, clue))));
+
+    let messageListener = null;
+    const waiters = [];
+    const sendToPopup = (message) => {
+        for (let i = waiters.length - 1; i >= 0; i--) {
+            if (waiters[i].action === message.action) {
+                waiters[i].resolve(message);
+                waiters.splice(i, 1);
+            }
+        }
+        return Promise.resolve();
+    };
+    const noop = () => {};
+    const context = {
+        console: { log: noop, warn: noop, error: noop },
+        setTimeout,
+        clearTimeout,
+        AbortController,
+        Node: { ELEMENT_NODE: 1 },
+        MouseEvent: function (type) {
+            this.type = type;
+        },
+        MutationObserver: function (callback) {
+            let target = null;
+            const notify = () => callback([]);
+            this.observe = (element) => {
+                if (!element || !element.observers) return;
+                target = element;
+                element.observers.push(notify);
+            };
+            this.disconnect = () => {
+                if (target) target.observers = target.observers.filter(observer => observer !== notify);
+            };
+        },
+        Worker: function () {
+            throw new Error('测试环境没有Worker');
+        },
+        Blob: function () {},
+        URL: { createObjectURL: () => 'blob:test' },
+        document: {
+            readyState: 'complete',
+            body: { appendChild: noop },
+            addEventListener: noop,
+            getElementById: () => null,
+            createElement: () => ({ style: {}, appendChild: noop }),
+            querySelectorAll: (selector) => (selector.startsWith('.cell') ? cells : [])
+        },
+        chrome: {
+            storage: {
+                onChanged: { addListener: noop },
+                sync: { get: async () => settings }
+            },
+            runtime: {
+                getURL: file => file,
+                onMessage: { addListener: listener => { messageListener = listener; } },
+                sendMessage: sendToPopup
+            }
+        }
+    };
+    context.window = context;
+    context.window.location = { href: 'https://example.test/' };
+    context.window.scrollX = 0;
+    context.window.scrollY = 0;
+    context.window.addEventListener = noop;
+    context.window.removeEventListener = noop;
+    context.self = context;
+    context.globalThis = context;
+    vm.createContext(context);
+    for (const file of ['solver-core.js', 'puzzle-text.js', 'site-task.js', 'grid-geometry.js', 'mosaic-solver.js', 'content.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+
+    const cols = grid[0].length;
+    return {
+        send: message => new Promise(resolve => messageListener(message, {}, resolve)),
+        waitFor: action => new Promise(resolve => waiters.push({ action, resolve })),
+        board: () => new Map(cells.map((cell, index) => [`${Math.floor(index / cols)},${index % cols}`, cell.state])),
+        play(row, col, state) {
+            cells[row * cols + col].state = state;
+            vm.runInContext('liveBoard.refresh()', context);
+        }
+    };
+}
+
+module.exports = { makePuzzle, loadExtensionGlue, pageToPuzzleData, loadContentScript };
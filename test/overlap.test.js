@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeOverlapConstraints, findNextHint, solveMosaicCSP } = require('../solver-core.js');
+const { makePuzzle } = require('./helpers');
+
+// 从答案中随机给出一部分单元格，作为推理开始时的盘面（其余为-1）
+function revealSome(board, seed) {
+    let state = seed;
+    return board.map(row => row.map(value => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648 < 0.3 ? value : -1;
+    }));
+}
+
+test('overlap deductions agree with every solution of the board', () => {
+    let deducedCells = 0;
+    for (let seed = 1; seed <= 40; seed++) {
+        const { board, grid } = makePuzzle(5, 5, 0.5, seed);
+        const start = revealSome(board, seed);
+        const report = solveMosaicCSP(grid, null, { givens: start, enumerate: true, maxSolutions: 5000 });
+        assert.ok(report.exhausted, `seed ${seed}: 枚举没有完成`);
+
+        const deduced = start.map(row => [...row]);
+        analyzeOverlapConstraints(grid, deduced);
+        deduced.forEach((row, r) => row.forEach((value, c) => {
+            if (start[r][c] !== -1 || value === -1) return;
+            deducedCells++;
+            for (const solution of report.solutions) {
+                assert.strictEqual(solution[r][c], value, `seed ${seed}: (${r},${c})`);
+            }
+        }));
+    }
+    assert.ok(deducedCells > 0, "测试的拼图中没有用到重叠推理");
+});
+
+test('hints fall back to overlap deductions and name both clues', () => {
+    // 与步骤演示测试中的拼图相同：基数传播停住以后只能靠重叠推理
+    const { grid } = makePuzzle(6, 6, 0.6, 10);
+    const board = grid.map(row => row.map(() => -1));
+    let overlapHints = 0;
+    for (let hint = findNextHint(grid, board); hint; hint = findNextHint(grid, board)) {
+        assert.ok(!hint.contradiction, hint.reason);
+        if (hint.relatedClues && hint.relatedClues.length === 2) overlapHints++;
+        board[hint.row][hint.col] = hint.value;
+    }
+    assert.ok(overlapHints > 0);
+    assert.ok(board.every(row => row.every(value => value !== -1)));
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveMosaic, solveMosaicCSP } = require('../solver-core.js');
+const { makePuzzle } = require('./helpers');
+
+// 停止求解时应用的部分解只能包含推出来的单元格：每个确定的单元格在所有解中都相同
+for (const engine of ['csp', 'propagation']) {
+    test(`the partial solution of the ${engine} engine holds only proven cells`, () => {
+        let provenCells = 0;
+        let guessedPuzzles = 0;
+        for (let seed = 1; seed <= 20; seed++) {
+            const { grid } = makePuzzle(6, 6, 0.4, seed);
+            const { solutions, exhausted } = solveMosaicCSP(grid, null, { enumerate: true, maxSolutions: 2000 });
+            if (!exhausted) continue; // 解太多的拼图无法逐个比较
+
+            const partials = [];
+            const { stats } = solveMosaic(grid, null, { engine: engine, partialCallback: partial => partials.push(partial) });
+            if (stats.cellsByBranching > 0) guessedPuzzles++;
+            for (const partial of partials) {
+                partial.forEach((row, r) => row.forEach((value, c) => {
+                    if (value === -1) return;
+                    provenCells++;
+                    solutions.forEach(solution => assert.strictEqual(solution[r][c], value, `seed ${seed}: (${r},${c})`));
+                }));
+            }
+        }
+        assert.ok(provenCells > 0 && guessedPuzzles > 0);
+    });
+}
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PuzzleTextError, parsePuzzleText, serializePuzzleText } = require('../puzzle-text.js');
+const { solveMosaic } = require('../solver-core.js');
+const { makePuzzle } = require('./helpers');
+
+// 工具函数：检查解析时抛出的PuzzleTextError指向哪一行
+function assertErrorAt(text, line) {
+    assert.throws(() => parsePuzzleText(text), error => {
+        assert.ok(error instanceof PuzzleTextError, String(error));
+        assert.strictEqual(error.line, line, error.message);
+        assert.ok(error.message.startsWith(`第${line}行: `), error.message);
+        return true;
+    });
+}
+
+test('clues, state and solution survive a round trip through text', () => {
+    const { grid } = makePuzzle(7, 5, 0.5, 3);
+    const { solution } = solveMosaic(grid);
+    const state = solution.map((row, r) => row.map((value, c) => ((r + c) % 3 === 0 ? -1 : value)));
+
+    const text = serializePuzzleText({ clues: grid, state: state, solution: solution }, { title: '测试' });
+    assert.ok(text.startsWith('// 测试 5x7\n'));
+    assert.deepStrictEqual(parsePuzzleText(text), { clues: grid, state: state, solution: solution });
+});
+
+test('a state with no known cells is left out of the text', () => {
+    const clues = [[1, null], [null, 0]];
+    const text = serializePuzzleText({ clues: clues, state: [[-1, -1], [-1, -1]] });
+    assert.ok(!text.includes('[state]'));
+    assert.deepStrictEqual(parsePuzzleText(text), { clues: clues, state: null, solution: null });
+});
+
+test('text without section headers is read as clues', () => {
+    const text = '// 只有数字\n\n2 . 1\n. 4 .\n2 . 2\n';
+    assert.deepStrictEqual(parsePuzzleText(text), {
+        clues: [[2, null, 1], [null, 4, null], [2, null, 2]],
+        state: null,
+        solution: null
+    });
+});
+
+test('cells may be written without spaces', () => {
+    const spaced = parsePuzzleText('[clues]\n1 . 2\n. . 0\n[state]\n# . x\nX . .\n[solution]\n# x x\nx x x\n');
+    const compact = parsePuzzleText('[clues]\n1.2\n..0\n[state]\n#.x\nX..\n[solution]\n#xx\nxxx\n');
+    assert.deepStrictEqual(compact, spaced);
+    assert.deepStrictEqual(compact.clues, [[1, null, 2], [null, null, 0]]);
+    assert.deepStrictEqual(compact.state, [[1, -1, 0], [0, -1, -1]]);
+});
+
+test('a row of the wrong size is reported with its line number', () => {
+    assertErrorAt('[clues]\n1 . 2\n. 3\n', 3);
+    assertErrorAt('[clues]\n1.2\n...\n// 盘面\n[state]\n#..\n#.\n', 7);
+    assertErrorAt('[clues]\n1.2\n...\n[solution]\n#x#\n', 5);
+});
+
+test('a repeated section is reported with its line number', () => {
+    assertErrorAt('[clues]\n1.2\n[state]\n#..\n[clues]\n1.2\n', 5);
+    assertErrorAt('1.2\n...\n[clues]\n1.2\n...\n', 3);
+});
+
+test('other format errors carry the offending line', () => {
+    assertErrorAt('[clues]\n1.2\n[notes]\n', 3);
+    assertErrorAt('[clues]\n1 a 2\n', 2);
+    assertErrorAt('[clues]\n1.2\n[solution]\n#.x\n', 4);
+    assert.throws(() => parsePuzzleText('// 空的\n[state]\n#\n'), error =>
+        error instanceof PuzzleTextError && error.line === null);
+});
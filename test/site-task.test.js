@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SiteTaskError, decodeSiteTask, encodeSiteTask } = require('../site-task.js');
+
+test('decodes a task string and encodes it back', () => {
+    const clues = [[1, null, 1], [null, 3, null], [1, null, 1]];
+    const task = encodeSiteTask(clues);
+    assert.deepStrictEqual(decodeSiteTask(task), { rows: 3, cols: 3, clues: clues });
+});
+
+test('an inferred size must be square', () => {
+    // abc展开为6个单元格，不能被当作2x3的拼图
+    assert.throws(() => decodeSiteTask('abc'), SiteTaskError);
+    assert.deepStrictEqual(decodeSiteTask('abc', 2, 3).clues, [[null, null, null], [null, null, null]]);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidSolution } = require('../solver-core.js');
+const { makePuzzle, loadExtensionGlue, pageToPuzzleData } = require('./helpers');
+
+// 创建一个步骤演示：空白网页上玩家在几个单元格上自己标记了X或填充
+function startDemo(grid, options = {}) {
+    const page = new Map();
+    grid.forEach((row, r) => row.forEach((_, c) => page.set(`${r},${c}`, 'empty')));
+    page.set('0,0', 'marked');
+    page.set('2,3', 'marked');
+    page.set('4,4', 'filled');
+
+    const glue = loadExtensionGlue(page);
+    const original = new Map(page);
+    const { controller } = glue.solveMosaicAlgorithm(grid, true, pageToPuzzleData(page), null, options);
+    return { page, original, controller };
+}
+
+async function runToEnd(controller) {
+    let result;
+    do {
+        result = await controller.executeNextStep();
+    } while (!result.completed);
+    return result;
+}
+
+test('stop restores the exact board from before the demo', async () => {
+    for (const markBlanks of [false, true]) {
+        const { grid } = makePuzzle(8, 8, 0.6, 1);
+        const { page, original, controller } = startDemo(grid, { markBlanks });
+
+        const last = await runToEnd(controller);
+        assert.strictEqual(last.event.type, 'solved');
+        assert.ok(isValidSolution(controller.solution, grid));
+        assert.notDeepStrictEqual(page, original);
+
+        const stopped = await controller.stop();
+        assert.strictEqual(stopped.step, 0);
+        assert.deepStrictEqual(page, original);
+    }
+});
+
+test('proven blank cells keep the player\'s marks unless markBlanks is on', async () => {
+    const { grid } = makePuzzle(8, 8, 0.6, 1);
+    const { page, controller } = startDemo(grid);
+    await runToEnd(controller);
+
+    const solution = controller.solution;
+    for (const [key, state] of page) {
+        const [row, col] = key.split(',').map(Number);
+        if (solution[row][col] === 1) {
+            assert.strictEqual(state, 'filled');
+        } else if (key === '0,0' || key === '2,3') {
+            assert.strictEqual(state, 'marked');
+        }
+    }
+});
+
+test('stepping back one step at a time ends at the original board', async () => {
+    const { grid } = makePuzzle(6, 6, 0.6, 1);
+    const { page, original, controller } = startDemo(grid);
+    await runToEnd(controller);
+
+    let result;
+    do {
+        result = await controller.previousStep();
+    } while (result.success);
+    assert.strictEqual(controller.getProgress().step, 0);
+    assert.deepStrictEqual(page, original);
+});
+
+test('jumping to any step shows the board recorded when that step ran', async () => {
+    // 这个拼图需要猜测，并且至少回溯一次
+    const { grid } = makePuzzle(6, 6, 0.4, 11);
+    const { page, original, controller } = startDemo(grid);
+
+    const boards = [new Map(page)];
+    let result;
+    do {
+        result = await controller.executeNextStep();
+        boards.push(new Map(page));
+    } while (!result.completed);
+    const history = [...controller.history];
+    assert.ok(history.some(step => step.event.type === 'backtrack'));
+    assert.deepStrictEqual(boards[0], original);
+
+    for (const step of [3, history.length, 0, 7, 1, history.length - 2, 5]) {
+        await controller.goToStep(step);
+        assert.deepStrictEqual(page, boards[step], `step ${step}`);
+    }
+
+    // 后退之后再前进是按记录重放，不会产生新的步骤
+    await controller.goToStep(2);
+    for (let step = 3; step <= history.length; step++) {
+        result = await controller.executeNextStep();
+        assert.strictEqual(result.event, history[step - 1].event);
+        assert.deepStrictEqual(page, boards[step], `replay step ${step}`);
+    }
+    assert.strictEqual(controller.history.length, history.length);
+    assert.ok(result.completed);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MosaicCSP, SolverSession, mosaicStepEvents, solveMosaic } = require('../solver-core.js');
+const { makePuzzle } = require('./helpers');
+
+function collectEvents(grid) {
+    return [...mosaicStepEvents(new MosaicCSP(grid), new SolverSession({ maxTimeMs: Infinity }))];
+}
+
+test('step mode uses overlap deductions instead of guessing', () => {
+    // 基数传播在这个拼图上会停住，重叠推理可以一直推到底
+    const { grid } = makePuzzle(6, 6, 0.6, 10);
+    const { solution } = solveMosaic(grid);
+    const events = collectEvents(grid);
+
+    const overlaps = events.filter(event => event.type === 'overlap');
+    assert.ok(overlaps.length > 0);
+    assert.strictEqual(events.filter(event => event.type === 'branch').length, 0);
+    assert.strictEqual(events[events.length - 1].type, 'solved');
+
+    for (const event of overlaps) {
+        assert.strictEqual(event.value, solution[event.row][event.col], `(${event.row},${event.col})`);
+        assert.strictEqual(event.clues.length, 2);
+    }
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { solveMosaic } = require('../solver-core.js');
+const { serializePuzzleText } = require('../puzzle-text.js');
+const { makePuzzle, loadContentScript } = require('./helpers');
+
+// 打开一个拼图，玩家已经做了几步，其中有与答案不同的单元格（求解会改掉它们，撤销时要改回来）
+function openPuzzle() {
+    const { grid } = makePuzzle(6, 6, 0.6, 1);
+    const { solution } = solveMosaic(grid);
+    const page = loadContentScript(grid);
+    const cells = solution.flatMap((row, r) => row.map((value, c) => ({ row: r, col: c, value: value })));
+    const filled = cells.filter(cell => cell.value === 1);
+    const blank = cells.filter(cell => cell.value === 0);
+    page.play(filled[0].row, filled[0].col, 'marked');
+    page.play(blank[0].row, blank[0].col, 'filled');
+    page.play(blank[1].row, blank[1].col, 'marked');
+    return page;
+}
+
+async function solve(page, stepByStep = false) {
+    const finished = page.waitFor('solve_finished');
+    await page.send({ action: 'solve_puzzle', stepByStep: stepByStep, markBlanks: true });
+    return finished;
+}
+
+test('undo restores the exact board from before the solve', async () => {
+    const page = openPuzzle();
+    const before = page.board();
+
+    const finished = await solve(page);
+    assert.strictEqual(finished.status, 'completed');
+    assert.notDeepStrictEqual(page.board(), before);
+
+    const undo = await page.send({ action: 'undo_solve' });
+    assert.ok(undo.success, undo.message);
+    assert.deepStrictEqual(page.board(), before);
+
+    const again = await page.send({ action: 'undo_solve' });
+    assert.ok(!again.success);
+});
+
+test('undo steps back through several changes, newest first', async () => {
+    const page = openPuzzle();
+    const before = page.board();
+
+    // 步骤演示走几步，然后玩家自己改了一个单元格，再即时求解
+    await solve(page, true);
+    for (let i = 0; i < 4; i++) {
+        await page.send({ action: 'next_step' });
+    }
+    page.play(5, 0, 'marked');
+    const afterDemo = page.board();
+    await solve(page);
+
+    assert.ok((await page.send({ action: 'undo_solve' })).success);
+    assert.deepStrictEqual(page.board(), afterDemo);
+    assert.ok((await page.send({ action: 'undo_solve' })).success);
+    assert.deepStrictEqual(page.board(), before);
+});
+
+test('restoring my progress goes back to before the first change', async () => {
+    const page = openPuzzle();
+    const before = page.board();
+
+    await solve(page, true);
+    await page.send({ action: 'next_step' });
+    await page.send({ action: 'step_play', delayMs: 0 });
+    await solve(page);
+
+    const reset = await page.send({ action: 'reset', mode: 'restore' });
+    assert.ok(reset.success, reset.message);
+    assert.deepStrictEqual(page.board(), before);
+    assert.ok(!(await page.send({ action: 'undo_solve' })).success);
+});
+
+test('clearing everything can be undone', async () => {
+    const page = openPuzzle();
+    const before = page.board();
+
+    const reset = await page.send({ action: 'reset' });
+    assert.ok(reset.success, reset.message);
+    assert.ok([...page.board().values()].every(state => state === 'empty'));
+
+    const undo = await page.send({ action: 'undo_solve' });
+    assert.ok(undo.success, undo.message);
+    assert.deepStrictEqual(page.board(), before);
+});
+
+test('loading a board from text can be undone', async () => {
+    const { grid } = makePuzzle(6, 6, 0.6, 1);
+    const page = openPuzzle();
+    const before = page.board();
+
+    const { solution } = solveMosaic(grid);
+    const text = serializePuzzleText({ clues: grid, solution: solution });
+    const load = await page.send({ action: 'load_text', text: text });
+    assert.ok(load.success, load.message);
+    assert.notDeepStrictEqual(page.board(), before);
+
+    const undo = await page.send({ action: 'undo_solve' });
+    assert.ok(undo.success, undo.message);
+    assert.deepStrictEqual(page.board(), before);
+});
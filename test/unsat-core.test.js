@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findMinimalUnsatisfiableClues, solveMosaicCSP, isValidSolution } = require('../solver-core.js');
+const { makePuzzle } = require('./helpers');
+
+// 只保留clues中的数字的网格
+function gridOf(rows, cols, clues) {
+    const grid = Array.from({ length: rows }, () => Array(cols).fill(null));
+    clues.forEach(({ row, col, count }) => {
+        grid[row][col] = count;
+    });
+    return grid;
+}
+
+function isSolvable(grid) {
+    return isValidSolution(solveMosaicCSP(grid).solution, grid);
+}
+
+// 改掉随机拼图中的一个数字，直到拼图无解
+function makeUnsolvable(seed) {
+    const { grid } = makePuzzle(6, 6, 0.6, seed);
+    for (let r = 0; r < 6; r++) {
+        for (let c = 0; c < 6; c++) {
+            if (grid[r][c] === null) continue;
+            const broken = grid.map(row => [...row]);
+            broken[r][c] = (grid[r][c] + 5) % 10;
+            if (!isSolvable(broken)) return broken;
+        }
+    }
+    return null;
+}
+
+test('the contradictory clue set is unsolvable and every clue in it is needed', () => {
+    let checked = 0;
+    for (let seed = 1; seed <= 10; seed++) {
+        const grid = makeUnsolvable(seed);
+        if (!grid) continue;
+
+        const { clues, minimal } = findMinimalUnsatisfiableClues(grid);
+        assert.ok(minimal);
+        clues.forEach(({ row, col, count }) => assert.strictEqual(grid[row][col], count));
+        assert.ok(!isSolvable(gridOf(6, 6, clues)), `seed ${seed}: 集合本身有解`);
+
+        clues.forEach((_, index) => {
+            const rest = clues.filter((__, i) => i !== index);
+            assert.ok(isSolvable(gridOf(6, 6, rest)), `seed ${seed}: 去掉第${index}个数字后仍然无解`);
+        });
+        checked++;
+    }
+    assert.ok(checked > 0);
+});
+
+// 检查矛盾时的子网格只保留少数数字，大部分单元格不受任何数字约束：
+// 搜索把这些单元格直接设为空白，不为它们逐个分支（它们取什么值都不影响有没有解）
+test('cells no clue touches are left blank without branching on them', () => {
+    const { grid: corner } = makePuzzle(4, 4, 0.6, 2);
+    const clues = [];
+    corner.forEach((row, r) => row.forEach((count, c) => {
+        if (count !== null) clues.push({ row: r, col: c, count: count });
+    }));
+    const grid = gridOf(20, 20, clues);
+    const touched = (r, c) => clues.some(({ row, col }) => Math.abs(row - r) <= 1 && Math.abs(col - c) <= 1);
+
+    const { solution, partial, stats } = solveMosaicCSP(grid);
+    assert.ok(isValidSolution(solution, grid));
+    let freeCells = 0;
+    partial.forEach((row, r) => row.forEach((value, c) => {
+        if (touched(r, c)) return;
+        freeCells++;
+        assert.strictEqual(value, 0, `单元格(${r},${c})`);
+    }));
+    assert.ok(freeCells > 300);
+    assert.ok(stats.nodes < 25, `搜索了${stats.nodes}个节点`);
+    assert.ok(stats.cellsByBranching < 25, `分支确定了${stats.cellsByBranching}个单元格`);
+    assert.strictEqual(stats.cellsByPropagation + stats.cellsByBranching, 20 * 20);
+});
+
+test('enumeration still counts every value of the free cells', () => {
+    const { solutions, exhausted } = solveMosaicCSP([[0, null, null, null]], null, { enumerate: true });
+    assert.ok(exhausted);
+    assert.strictEqual(solutions.length, 4);
+});